@@ -1,16 +1,64 @@
 import { connect } from "cloudflare:sockets";
 
+// Env bindings (atur di Settings -> Variables and Secrets)
+// ROOT_DOMAIN    : domain utama kalian
+// SERVICE_NAME   : nama workers kalian
+// CF_API_KEY     : Global API key kalian (https://dash.cloudflare.com/profile/api-tokens)
+// CF_API_EMAIL   : email yang kalian gunakan
+// CF_ACCOUNT_ID  : Account ID kalian (https://dash.cloudflare.com -> Klik domain yang kalian gunakan)
+// CF_ZONE_ID     : Zone ID kalian (https://dash.cloudflare.com -> Klik domain yang kalian gunakan)
+// ADMIN_TOKEN    : token admin untuk /api/v1/admin dan tambah / hapus domain, kirim sebagai Bearer atau kunci HMAC
+// BAD_WORDS_URL  : (opsional) sumber awal daftar kata terlarang, selanjutnya diubah lewat /api/v1/admin/badwords
+// DOMAIN_RATE_LIMIT : (opsional) batas request tambah / hapus domain per IP per menit, default 10
+// AUTH_UUIDS     : (opsional) allow-list UUID vless, dipisah koma
+// AUTH_PASSWORDS : (opsional) allow-list password trojan, dipisah koma
+// UDP_RELAY      : (opsional) relay UDP-over-TCP untuk trafik UDP selain DNS: host:port (framing trojan tanpa
+//                  handshake) atau trojan://password@host:port (server trojan biasa lewat TLS), lihat handleUDPOutbound
+// DOH_URL        : (opsional) endpoint DNS-over-HTTPS, default dns.google
+// DNS_CACHE      : (opsional) "true" untuk cache jawaban DNS sesuai TTL
+// KV             : (opsional) KV namespace untuk kredensial, pemakaian kuota dan cache daftar proxy
+// PRX_BANK_URL   : (opsional) URL daftar proxy, default PRX_BANK_URL di bawah
+// PRX_SOURCES    : (opsional) sumber daftar proxy dipisah koma: URL, "kv:<key>" atau "inline", urutan = prioritas
+// PRX_INLINE     : (opsional) daftar proxy langsung di env (CSV per baris atau JSON), dipakai sumber "inline"
+// KV_PRX_URL     : (opsional) sumber khusus untuk route negara (/ID, /SG), default gabungan PRX_SOURCES
+// PRX_STRATEGY   : (opsional) cara memilih proxy di route negara: random (default), round-robin, health, latency
+// STICKY_SESSION : (opsional) "uuid" atau "ip" agar route negara memakai proxy yang sama per user / IP
+// STICKY_TTL     : (opsional) lama sticky session dalam detik, default 1800
+// LOG_LEVEL      : (opsional) debug, info (default), warn atau error
+// LOG_SINK       : (opsional) console (default), logpush (satu baris JSON per event) atau http
+// LOG_HTTP_URL   : (opsional) collector untuk LOG_SINK=http, event dikirim sebagai NDJSON
+// LOG_HTTP_TOKEN : (opsional) Bearer token untuk LOG_HTTP_URL
+// ACL_DENY       : (opsional) tujuan yang diblokir dipisah koma: CIDR / IP, domain atau port (:25, :6000-7000)
+// ACL_ALLOW      : (opsional) jika diisi, hanya host / port yang cocok yang boleh dituju
+// ACL_DEFAULTS   : (opsional) "false" untuk mematikan blokir bawaan (SMTP, IP privat, domain worker sendiri)
+// ACL_RESOLVE    : (opsional) "false" agar domain tujuan tidak di-resolve (DoH) untuk dicek terhadap rule CIDR
+// CF_DETECT      : (opsional) deteksi tujuan di jaringan Cloudflare agar langsung ke proxy: dns (default), ip atau false
+// ROUTE_RULES    : (opsional) aturan jalur keluar per tujuan, satu per baris atau dipisah ";", lihat getRouteRules
+// RATE_LIMITER   : (opsional) Durable Object binding ke class RateLimiter agar batas request berlaku lintas isolate
+// METRICS        : (opsional) Durable Object binding ke class TunnelMetrics untuk /api/v1/metrics
+// PRX_FALLBACKS  : (opsional) proxy cadangan berurutan (IP:Port) dipisah koma
+// HEALTH_CHECK_BATCH : (opsional) jumlah proxy yang dicek per cron, default 40
+// HEALTH_MIN_SCORE   : (opsional) skor minimal (0 - 1) agar proxy tampil, default 0.5
+// QUOTA_BYTES    : (opsional) batas trafik (upload + download) per user per periode
+// QUOTA_PERIOD   : (opsional) "daily" atau "monthly" (default)
+// USAGE          : (opsional) Durable Object binding ke class UserUsage agar pemakaian per user dihitung atomik, tanpa ini pakai KV
+
 // Variables
-const rootDomain = "gpj2.dpdns.org"; // Ganti dengan domain utama kalian
-const serviceName = "nautica"; // Ganti dengan nama workers kalian
-const apiKey = "673fee2d6747b90db9a90e9279195974d01f9"; // Ganti dengan Global API key kalian (https://dash.cloudflare.com/profile/api-tokens)
-const apiEmail = "paoandest@gmail.com"; // Ganti dengan email yang kalian gunakan
-const accountID = "c4682365bae93b9e2a94d6ba827c82a9"; // Ganti dengan Account ID kalian (https://dash.cloudflare.com -> Klik domain yang kalian gunakan)
-const zoneID = "dc7a50828fc5e7cacd27318d4e7ceee5"; // Ganti dengan Zone ID kalian (https://dash.cloudflare.com -> Klik domain yang kalian gunakan)
-const ownerPassword = "ambe123";
-let isApiReady = false;
-let prxIP = "";
 let cachedPrxList = [];
+let cachedCredentials = null;
+let cachedCredentialsAt = 0;
+const dnsCache = new Map();
+const rateLimits = new Map();
+let cachedBadWords = null;
+const roundRobinCursors = new Map();
+const stickySessions = new Map();
+let pendingMetrics = {};
+let cachedACL = null;
+let cachedRouteRules = null;
+let cloudflareRanges = null;
+const resolvedHosts = new Map();
+let metricsFlushedAt = 0;
+let cachedBadWordsAt = 0;
 
 // Constant
 const WHATSAPP_NUMBER = "082339191527";
@@ -20,72 +68,770 @@ const flash = "dmxlc3M=";
 const v2 = "djJyYXk=";
 const neko = "Y2xhc2g=";
 
-const APP_DOMAIN = `${serviceName}.${rootDomain}`;
 const PORTS = [443, 80];
 const PROTOCOLS = [atob(horse), atob(flash), "ss"];
+// ss tanpa enkripsi tidak membawa kredensial, jadi tidak bisa dipakai user yang terdaftar
+const USER_PROTOCOLS = [atob(horse), atob(flash)];
 const PRX_BANK_URL = "https://raw.githubusercontent.com/jaka2m/botak/refs/heads/main/cek/proxyList.txt";
-const DNS_SERVER_ADDRESS = "8.8.8.8";
+const DOH_URL = "https://dns.google/dns-query";
 const DNS_SERVER_PORT = 53;
-const PRX_HEALTH_CHECK_API = "https://geovpn.vercel.app/check";
-const CONVERTER_URL = "https://api.foolvpn.me/convert";
+const DNS_CACHE_MAX_ENTRIES = 1000;
+const DNS_TYPE_A = 1;
+const DNS_TYPE_AAAA = 28;
+const PRX_HEALTH_CHECK_TIMEOUT = 5000;
+const PRX_CONNECT_TIMEOUT = 5000;
+const PRX_RETRY_BACKOFF = 250;
+const PRX_MAX_FALLBACKS = 5;
+const PRX_STRATEGIES = ["random", "round-robin", "health", "latency"];
+const PRX_UNKNOWN_WEIGHT = 0.5;
+const PRX_MIN_WEIGHT = 0.05;
+const ACL_DEFAULT_DENY = [
+  ":25",
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.168.0.0/16",
+  "::1/128",
+  "fc00::/7",
+  "fe80::/10",
+  "localhost",
+];
+// https://www.cloudflare.com/ips/
+const CF_IP_RANGES = [
+  "173.245.48.0/20",
+  "103.21.244.0/22",
+  "103.22.200.0/22",
+  "103.31.4.0/22",
+  "141.101.64.0/18",
+  "108.162.192.0/18",
+  "190.93.240.0/20",
+  "188.114.96.0/20",
+  "197.234.240.0/22",
+  "198.41.128.0/17",
+  "162.158.0.0/15",
+  "104.16.0.0/13",
+  "104.24.0.0/14",
+  "172.64.0.0/13",
+  "131.0.72.0/22",
+  "2400:cb00::/32",
+  "2606:4700::/32",
+  "2803:f800::/32",
+  "2405:b500::/32",
+  "2405:8100::/32",
+  "2a06:98c0::/29",
+  "2c0f:f248::/32",
+];
+const RESOLVE_TIMEOUT = 1000;
+const RESOLVE_CACHE_TTL = 10 * 60 * 1000;
+const RESOLVE_MAX_ENTRIES = 1000;
+const NUMERIC_LABEL = /^(0x[0-9a-f]*|\d+)$/;
+const ROUTE_RULE_TYPES = ["DOMAIN", "DOMAIN-SUFFIX", "DOMAIN-KEYWORD", "IP-CIDR", "DST-PORT", "MATCH"];
+const METRICS_FLUSH_INTERVAL = 10 * 1000;
+const METRIC_DEFINITIONS = {
+  tunnel_active_connections: { type: "gauge", help: "Open tunnel connections" },
+  tunnel_connections_total: { type: "counter", help: "Accepted tunnel connections by protocol, network and client country" },
+  tunnel_bytes_total: { type: "counter", help: "Tunneled bytes, in = from client, out = to client" },
+  tunnel_retries_total: { type: "counter", help: "Proxy fallback attempts in handleTCPOutBound" },
+  tunnel_dns_queries_total: { type: "counter", help: "DNS queries resolved over DoH" },
+  tunnel_errors_total: { type: "counter", help: "Errors and rejected connections by type" },
+};
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_HTTP_BATCH_SIZE = 50;
+const KV_STICKY_PREFIX = "sticky:";
+const STICKY_TTL = 30 * 60;
+const STICKY_MAX_ENTRIES = 1000;
+const ROUND_ROBIN_MAX_ENTRIES = 1000;
+const KV_PRX_HEALTH_KEY = "prx:health";
+const HEALTH_CHECK_BATCH = 40;
+const HEALTH_CHECK_CONCURRENCY = 6;
+const HEALTH_HISTORY_SIZE = 10;
+const HEALTH_MIN_SCORE = 0.5;
+const URL_TEST_URL = "https://www.gstatic.com/generate_204";
 const DONATE_LINK = "https://github.com/jaka1m/project/raw/main/BAYAR.jpg";
 const BAD_WORDS_LIST =
   "https://gist.githubusercontent.com/adierebel/a69396d79b787b84d89b45002cb37cd6/raw/6df5f8728b18699496ad588b3953931078ab9cf1/kata-kasar.txt";
+const KV_BAD_WORDS_KEY = "badwords:list";
+const BAD_WORDS_CACHE_TTL = 10 * 60 * 1000;
+const LEET_CHARS = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", 9: "g", "@": "a", $: "s", "!": "i", "|": "l" };
+const COUNTRY_CODE_ALIASES = { UK: "GB", EL: "GR" };
 const PRX_PER_PAGE = 24;
+const KV_CREDENTIALS_KEY = "auth:credentials";
+const KV_USER_PREFIX = "user:";
+const KV_TOKEN_PREFIX = "token:";
+const KV_HORSE_PREFIX = "horse:";
+const ADMIN_SIGNATURE_MAX_SKEW = 5 * 60 * 1000;
+const DOMAIN_RATE_LIMIT = 10;
+const DOMAIN_RATE_LIMIT_WINDOW = 60 * 1000;
+const RATE_LIMIT_MAX_ENTRIES = 1000;
+const KV_AUDIT_PREFIX = "audit:";
+const AUDIT_LOG_TTL = 60 * 60 * 24 * 90;
+const AUDIT_LOG_LIMIT = 100;
+const CREDENTIALS_CACHE_TTL = 60 * 1000;
+const KV_USAGE_PREFIX = "usage:";
+const USAGE_FLUSH_INTERVAL = 60 * 1000;
+const USAGE_DAILY_TTL = 60 * 60 * 24 * 35;
+const USAGE_MONTHLY_TTL = 60 * 60 * 24 * 400;
+const KV_PRX_LIST_KEY = "prx:list";
+const PRX_LIST_MAX_AGE = 60 * 60 * 1000;
+const IDENTITY_BINDINGS = ["ROOT_DOMAIN", "SERVICE_NAME"];
+const API_BINDINGS = ["CF_API_KEY", "CF_API_EMAIL", "CF_ACCOUNT_ID", "CF_ZONE_ID"];
+const CF_API_PAGE_SIZE = 100;
+const CF_API_MAX_PAGES = 50;
 const WS_READY_STATE_OPEN = 1;
 const WS_READY_STATE_CLOSING = 2;
 const CORS_HEADER_OPTIONS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET,HEAD,POST,OPTIONS",
+  "Access-Control-Allow-Methods": "GET,HEAD,POST,PUT,PATCH,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization,Content-Type,X-Admin-Timestamp,X-Admin-Signature",
   "Access-Control-Max-Age": "86400",
 };
 
-async function getKVPrxList(kvPrxUrl) {
-  if (!kvPrxUrl) {
-    return {};
+async function getKVPrxList(env) {
+  // Format: {"ID": ["1.1.1.1:443", ...], "SG": [...]}
+  let prxList = [];
+  if (env.KV_PRX_URL) {
+    prxList = (await loadPrxSource(env, env.KV_PRX_URL)).entries || [];
+  } else {
+    prxList = await getPrxList(env);
+  }
+
+  const kvPrx = {};
+  for (const prx of prxList) {
+    (kvPrx[prx.country] ||= []).push(`${prx.prxIP}:${prx.prxPort}`);
+  }
+
+  return kvPrx;
+}
+
+async function filterPrxChainByCountry(env, prxChain, countries) {
+  // Negara proxy dicari dari daftar route negara dan daftar subscription, proxy yang tidak dikenal ditolak
+  const kvPrx = await getKVPrxList(env);
+  const allowed = new Set(countries.flatMap((country) => kvPrx[country] || []));
+  if (env.KV_PRX_URL) {
+    for (const prx of await getPrxList(env)) {
+      if (countries.includes(prx.country)) allowed.add(`${prx.prxIP}:${prx.prxPort}`);
+    }
+  }
+
+  return prxChain.filter((prx) => {
+    const { address, port } = parsePrxAddress(prx) || {};
+    return allowed.has(`${address}:${port}`);
+  });
+}
+
+async function getCredentials(env) {
+  /**
+   * Allow-list user, digabung dari:
+   * - env.AUTH_UUIDS     : UUID dipisah koma (vless)
+   * - env.AUTH_PASSWORDS : password dipisah koma (trojan)
+   * - env.KV             : key "auth:credentials" -> {"uuids": [...], "passwords": [...]}
+   * - env.KV             : user record "user:<uuid>", lihat getUser
+   *
+   * Jika semuanya kosong, validasi tidak dijalankan.
+   */
+  if (cachedCredentials && Date.now() - cachedCredentialsAt < CREDENTIALS_CACHE_TTL) {
+    return cachedCredentials;
+  }
+
+  const uuids = splitList(env.AUTH_UUIDS);
+  const passwords = splitList(env.AUTH_PASSWORDS);
+  let hasUsers = false;
+  if (env.KV) {
+    const kvCredentials = await env.KV.get(KV_CREDENTIALS_KEY, "json");
+    uuids.push(...(kvCredentials?.uuids || []));
+    passwords.push(...(kvCredentials?.passwords || []));
+
+    const userKeys = await env.KV.list({ prefix: KV_USER_PREFIX, limit: 1 });
+    hasUsers = userKeys.keys.length > 0;
+  }
+
+  cachedCredentials = {
+    enforced: uuids.length > 0 || passwords.length > 0 || hasUsers,
+    flashIDs: new Set(uuids.map((uuid) => uuid.replaceAll("-", "").toLowerCase())),
+    horseHashes: new Set(passwords.map((password) => sha224(password))),
+  };
+  cachedCredentialsAt = Date.now();
+
+  return cachedCredentials;
+}
+
+async function getUser(env, uuid) {
+  /**
+   * Format KV:
+   *
+   * user:<uuid>    -> {"uuid": "...", "password": "...", "token": "...", "name": "...",
+   *                    "countries": ["SG"], "protocols": ["trojan"], "disabled": false,
+   *                    "expiresAt": 0, "trafficLimit": 0, "dailyLimit": 0, "monthlyLimit": 0,
+   *                    "createdAt": 0, "updatedAt": 0}
+   * token:<token>  -> <uuid>
+   * horse:<sha224> -> <uuid>
+   *
+   * countries / protocols kosong berarti semua diizinkan, expiresAt / trafficLimit / dailyLimit / monthlyLimit 0
+   * berarti tanpa batas. trafficLimit berlaku per QUOTA_PERIOD, lihat getQuotas.
+   */
+  return env.KV ? await env.KV.get(`${KV_USER_PREFIX}${uuid}`, "json") : null;
+}
+
+async function getUserByToken(env, token) {
+  const uuid = env.KV ? await env.KV.get(`${KV_TOKEN_PREFIX}${token}`) : null;
+  return uuid ? await getUser(env, uuid) : null;
+}
+
+async function findUser(env, protocol, buffer) {
+  if (!env.KV) return null;
+
+  let uuid = null;
+  if (protocol === atob(flash)) {
+    uuid = formatUUID(arrayBufferToHex(buffer.slice(1, 17)));
+  } else if (protocol === atob(horse)) {
+    const passwordHash = new TextDecoder().decode(buffer.slice(0, 56)).toLowerCase();
+    uuid = await env.KV.get(`${KV_HORSE_PREFIX}${passwordHash}`);
+  }
+
+  const user = uuid ? await getUser(env, uuid) : null;
+  return isUserActive(user) ? user : null;
+}
+
+function isProtocolAllowed(user, protocol) {
+  if (!user) return true;
+  return USER_PROTOCOLS.includes(protocol) && (!user.protocols?.length || user.protocols.includes(protocol));
+}
+
+function isUserActive(user) {
+  return !!user && !user.disabled && !(user.expiresAt && user.expiresAt <= Date.now());
+}
+
+async function listUsers(env) {
+  const users = [];
+  let cursor;
+  do {
+    const page = await env.KV.list({ prefix: KV_USER_PREFIX, cursor });
+    for (const key of page.keys) {
+      const user = await env.KV.get(key.name, "json");
+      if (user) users.push(user);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return users;
+}
+
+async function getPasswordOwner(env, password) {
+  // Password dipakai sebagai identitas user, jadi index horse:<sha224> harus unik
+  return await env.KV.get(`${KV_HORSE_PREFIX}${sha224(password)}`);
+}
+
+async function deletePasswordIndex(env, user) {
+  // Jangan hapus index milik user lain (data lama bisa saja berbagi password)
+  if ((await getPasswordOwner(env, user.password)) == user.uuid) {
+    await env.KV.delete(`${KV_HORSE_PREFIX}${sha224(user.password)}`);
+  }
+}
+
+async function saveUser(env, user, previous = null) {
+  // Index lama dihapus agar token / password yang diganti langsung tidak berlaku
+  if (previous?.token && previous.token != user.token) {
+    await env.KV.delete(`${KV_TOKEN_PREFIX}${previous.token}`);
+  }
+  if (previous?.password && previous.password != user.password) {
+    await deletePasswordIndex(env, previous);
+  }
+
+  user.updatedAt = Date.now();
+  await env.KV.put(`${KV_USER_PREFIX}${user.uuid}`, JSON.stringify(user));
+  await env.KV.put(`${KV_TOKEN_PREFIX}${user.token}`, user.uuid);
+  await env.KV.put(`${KV_HORSE_PREFIX}${sha224(user.password)}`, user.uuid);
+  cachedCredentials = null;
+
+  return user;
+}
+
+async function deleteUser(env, user) {
+  await env.KV.delete(`${KV_TOKEN_PREFIX}${user.token}`);
+  await deletePasswordIndex(env, user);
+  await env.KV.delete(`${KV_USER_PREFIX}${user.uuid}`);
+  cachedCredentials = null;
+}
+
+function getUsagePeriod(period, date = new Date()) {
+  const timestamp = date.toISOString();
+  return period === "daily" ? timestamp.slice(0, 10) : timestamp.slice(0, 7);
+}
+
+function getQuotas(env, user) {
+  /**
+   * Batas trafik per periode, 0 berarti tanpa batas:
+   *
+   * trafficLimit (atau QUOTA_BYTES) berlaku untuk QUOTA_PERIOD,
+   * dailyLimit / monthlyLimit per user berlaku untuk hari / bulan berjalan.
+   * Jika dua batas jatuh di periode yang sama, yang lebih kecil dipakai.
+   */
+  const quotas = { daily: parseInt(user?.dailyLimit) || 0, monthly: parseInt(user?.monthlyLimit) || 0 };
+  const period = env.QUOTA_PERIOD === "daily" ? "daily" : "monthly";
+  const limit = parseInt(user?.trafficLimit) || parseInt(env.QUOTA_BYTES) || 0;
+  if (limit && (!quotas[period] || limit < quotas[period])) {
+    quotas[period] = limit;
+  }
+
+  return quotas;
+}
+
+function getUsagePeriods(env, user) {
+  // Periode QUOTA_PERIOD selalu dicatat, periode lain hanya jika user punya batas di sana
+  const quotas = getQuotas(env, user);
+  const periods = Object.keys(quotas).filter((period) => quotas[period]);
+  const period = env.QUOTA_PERIOD === "daily" ? "daily" : "monthly";
+  return periods.includes(period) ? periods : [period, ...periods];
+}
+
+function getUsageStub(env, userID) {
+  return env.USAGE.get(env.USAGE.idFromName(userID));
+}
+
+async function getUsage(env, userID, periods = ["daily", "monthly"]) {
+  /**
+   * Format KV (tanpa binding USAGE):
+   *
+   * usage:<userID>:<periode> -> {"upload": 0, "download": 0, "updatedAt": 0}
+   * Periode: YYYY-MM (monthly) atau YYYY-MM-DD (daily)
+   *
+   * Hasil: {"daily": {"period": "YYYY-MM-DD", "upload": 0, ...}, "monthly": {...}}
+   */
+  const keys = periods.map((period) => getUsagePeriod(period));
+  let records = {};
+  if (env.USAGE) {
+    const query = keys.map((key) => `period=${key}`).join("&");
+    const response = await getUsageStub(env, userID).fetch(`https://usage/?${query}`);
+    records = await response.json();
+  } else if (env.KV) {
+    for (const key of keys) {
+      records[key] = await env.KV.get(`${KV_USAGE_PREFIX}${userID}:${key}`, "json");
+    }
+  }
+
+  return Object.fromEntries(
+    periods.map((period, i) => [period, { period: keys[i], upload: 0, download: 0, updatedAt: 0, ...records[keys[i]] }])
+  );
+}
+
+async function addUsage(env, userID, upload, download, periods) {
+  const keys = periods.map((period) => getUsagePeriod(period));
+
+  // Durable Object USAGE memproses request satu per satu per user, jadi penambahan tidak saling menimpa
+  if (env.USAGE) {
+    const query = keys.map((key) => `period=${key}`).join("&");
+    const response = await getUsageStub(env, userID).fetch(`https://usage/?${query}`, {
+      method: "POST",
+      body: JSON.stringify({ upload: upload, download: download }),
+    });
+    return await response.json();
+  }
+
+  // KV tidak atomik, koneksi paralel dari user yang sama bisa sedikit meleset
+  const records = {};
+  for (const key of keys) {
+    const usage = (await env.KV.get(`${KV_USAGE_PREFIX}${userID}:${key}`, "json")) || { upload: 0, download: 0 };
+    usage.upload += upload;
+    usage.download += download;
+    usage.updatedAt = Date.now();
+
+    await env.KV.put(`${KV_USAGE_PREFIX}${userID}:${key}`, JSON.stringify(usage), {
+      expirationTtl: key.length == 10 ? USAGE_DAILY_TTL : USAGE_MONTHLY_TTL,
+    });
+    records[key] = usage;
+  }
+
+  return records;
+}
+
+async function isOverQuota(env, userID, user) {
+  const quotas = getQuotas(env, user);
+  const periods = Object.keys(quotas).filter((period) => quotas[period]);
+  if (!periods.length || (!env.USAGE && !env.KV)) return false;
+
+  const usage = await getUsage(env, userID, periods);
+  return periods.some((period) => usage[period].upload + usage[period].download >= quotas[period]);
+}
+
+function parsePrxList(text, source = null) {
+  return lintPrxList(text, source).entries;
+}
+
+function lintPrxList(text, source = null) {
+  /**
+   * Format yang didukung:
+   *
+   * CSV        : <IP>,<Port>,<Country ID>,<ORG> per baris, contoh 1.1.1.1,443,SG,Cloudflare Inc.
+   * JSON array : ["1.1.1.1:443", "1.1.1.1,443,SG,Org", {"prxIP": "1.1.1.1", "prxPort": 443, "country": "SG", "org": "Org"}]
+   * JSON map   : {"SG": ["1.1.1.1:443"], "ID": [...]}
+   *
+   * Entri yang tidak valid dikembalikan di "rejected" beserta nomor baris / index dan alasannya.
+   */
+  text = (text || "").trim();
+
+  let rows = [];
+  if (text.startsWith("[") || text.startsWith("{")) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      return { entries: [], rejected: [{ line: 0, entry: text.slice(0, 100), reason: `invalid JSON: ${e.message}` }] };
+    }
+
+    const splitAddress = (value) => {
+      const prxAddress = parsePrxAddress(String(value));
+      return prxAddress ? [prxAddress.address, prxAddress.port] : [value, null];
+    };
+    if (Array.isArray(json)) {
+      rows = json.map((item, index) => {
+        let fields;
+        if (typeof item != "string") {
+          fields = [item?.prxIP || item?.ip, item?.prxPort || item?.port, item?.country || item?.cc, item?.org];
+        } else {
+          fields = item.includes(",") ? item.split(",") : [...splitAddress(item), null, null];
+        }
+        return { line: index, entry: item, fields: fields };
+      });
+    } else {
+      rows = Object.entries(json).flatMap(([country, prxs]) =>
+        (Array.isArray(prxs) ? prxs : []).map((prx, index) => ({
+          line: index,
+          entry: `${country}: ${prx}`,
+          fields: [...splitAddress(prx), country, null],
+        }))
+      );
+    }
+  } else {
+    rows = text
+      .split("\n")
+      .map((line, index) => ({ line: index + 1, entry: line.trim(), fields: line.split(",") }))
+      .filter((row) => row.entry);
+  }
+
+  const entries = [];
+  const rejected = [];
+  for (const row of rows) {
+    const [prxIP, prxPort, country, org] = row.fields.map((field) => String(field ?? "").trim());
+    const prx = validatePrxEntry({ prxIP, prxPort, country, org, source });
+    if (prx.error) {
+      rejected.push({ line: row.line, entry: row.entry, reason: prx.error });
+    } else {
+      entries.push(prx);
+    }
+  }
+
+  return { entries, rejected };
+}
+
+function validatePrxEntry(prx) {
+  // Mengembalikan entri yang sudah dinormalisasi, atau {error} jika tidak valid
+  let prxIP = prx.prxIP.toLowerCase();
+  if (!prxIP.startsWith("[") && prxIP.split(":").length > 2) {
+    prxIP = `[${prxIP}]`;
   }
+  if (!isValidIPv4(prxIP) && !isValidIPv6(prxIP) && !isValidHostname(prxIP)) {
+    return { error: `invalid address "${prx.prxIP}"` };
+  }
+
+  const prxPort = Number(prx.prxPort);
+  if (!/^\d+$/.test(prx.prxPort) || prxPort < 1 || prxPort > 65535) {
+    return { error: `invalid port "${prx.prxPort}"` };
+  }
+
+  // Negara kosong ditandai XX (kode ISO untuk "tidak diketahui")
+  let country = (prx.country || "XX").toUpperCase();
+  country = COUNTRY_CODE_ALIASES[country] || country;
+  if (!/^[A-Z]{2}$/.test(country)) {
+    return { error: `invalid country code "${prx.country}"` };
+  }
+
+  return {
+    prxIP: prxIP,
+    prxPort: String(prxPort),
+    country: country,
+    org: prx.org || "Unknown Org",
+    source: prx.source,
+  };
+}
+
+function getPrxSources(env) {
+  const sources = splitList(env.PRX_SOURCES);
+  return sources.length ? sources : [env.PRX_BANK_URL || PRX_BANK_URL];
+}
 
-  const kvPrx = await fetch(kvPrxUrl);
-  if (kvPrx.status == 200) {
-    return await kvPrx.json();
+async function loadPrxSource(env, source, etag = null) {
+  // Mengembalikan {entries, rejected, etag}, atau {notModified: true} jika upstream membalas 304
+  let text;
+  if (source.startsWith("kv:")) {
+    text = env.KV ? await env.KV.get(source.slice(3)) : null;
+  } else if (source == "inline") {
+    text = env.PRX_INLINE;
   } else {
-    return {};
+    const res = await fetch(source, {
+      headers: etag ? { "If-None-Match": etag } : {},
+    });
+    if (res.status == 304) return { notModified: true };
+    if (res.status != 200) {
+      throw new Error(`Failed to fetch ${source}, status ${res.status}`);
+    }
+
+    etag = res.headers.get("ETag");
+    text = await res.text();
+  }
+
+  return { ...lintPrxList(text, source), etag: etag };
+}
+
+function mergePrxLists(prxLists) {
+  // Entri pertama untuk ip:port yang sama yang dipakai, jadi urutan sumber = prioritas
+  const merged = new Map();
+  for (const prx of prxLists.flat()) {
+    const key = `${prx.prxIP}:${prx.prxPort}`;
+    if (!merged.has(key)) merged.set(key, prx);
   }
+
+  return [...merged.values()];
 }
 
-async function getPrxList(prxBankUrl = PRX_BANK_URL) {
+async function refreshPrxList(env) {
   /**
-   * Format:
+   * Snapshot di KV:
+   *
+   * prx:list -> {"version": 1, "sources": [...], "etags": {"<source>": "..."}, "fetchedAt": 0, "checkedAt": 0, "entries": [...]}
    *
-   * <IP>,<Port>,<Country ID>,<ORG>
-   * Contoh:
-   * 1.1.1.1,443,SG,Cloudflare Inc.
+   * Jika satu sumber gagal, entri terakhir yang valid dari sumber itu tetap dipakai.
    */
-  if (!prxBankUrl) {
-    throw new Error("No URL Provided!");
-  }
-
-  const prxBank = await fetch(prxBankUrl);
-  if (prxBank.status == 200) {
-    const text = (await prxBank.text()) || "";
-
-    const prxString = text.split("\n").filter(Boolean);
-    cachedPrxList = prxString
-      .map((entry) => {
-        const [prxIP, prxPort, country, org] = entry.split(",").map(item => item.trim());
-        return {
-          prxIP: prxIP || "Unknown",
-          prxPort: prxPort || "Unknown",
-          country: country || "Unknown",
-          org: org || "Unknown Org",
-        };
-      })
-      .filter(Boolean);
+  const sources = getPrxSources(env);
+  const snapshot = env.KV ? await env.KV.get(KV_PRX_LIST_KEY, "json") : null;
+  const etags = {};
+
+  const prxLists = await Promise.all(
+    sources.map(async (source) => {
+      const previousEntries = (snapshot?.entries || []).filter((prx) => prx.source == source);
+      try {
+        const result = await loadPrxSource(env, source, previousEntries.length ? snapshot.etags?.[source] : null);
+        if (result.notModified) {
+          etags[source] = snapshot.etags[source];
+          return previousEntries;
+        }
+        if (!result.entries.length) {
+          throw new Error(`No entries from ${source}`);
+        }
+
+        etags[source] = result.etag;
+        return result.entries;
+      } catch (e) {
+        createLogger(env).error("prx_source.error", { source: source, error: e.message });
+        etags[source] = snapshot?.etags?.[source] || null;
+        return previousEntries;
+      }
+    })
+  );
+
+  const entries = mergePrxLists(prxLists);
+  if (!entries.length) {
+    if (snapshot) return snapshot;
+    throw new Error(`Failed to load proxy list from ${sources.join(", ")}`);
+  }
+
+  const isChanged = !snapshot || JSON.stringify(entries) != JSON.stringify(snapshot.entries);
+  const newSnapshot = {
+    version: (snapshot?.version || 0) + (isChanged ? 1 : 0),
+    sources: sources,
+    etags: etags,
+    fetchedAt: isChanged ? Date.now() : snapshot.fetchedAt,
+    checkedAt: Date.now(),
+    entries: entries,
+  };
+  if (env.KV) {
+    await env.KV.put(KV_PRX_LIST_KEY, JSON.stringify(newSnapshot));
+  }
+
+  return newSnapshot;
+}
+
+async function getPrxList(env, prxBankUrl) {
+  if (prxBankUrl && /^https?:\/\//.test(prxBankUrl) && !getPrxSources(env).includes(prxBankUrl)) {
+    // Daftar custom dari query "prx-list" hanya untuk request ini, tidak di-cache di KV maupun isolate
+    try {
+      return (await loadPrxSource(env, prxBankUrl)).entries;
+    } catch (e) {
+      createLogger(env).error("prx_list.error", { source: prxBankUrl, error: e.message });
+      return [];
+    }
+  }
+
+  // Jika refresh gagal, snapshot terakhir dari KV tetap dipakai walau sudah kedaluwarsa,
+  // daftar di isolate hanya dipakai saat snapshot sama sekali tidak ada
+  let snapshot = null;
+  try {
+    snapshot = env.KV ? await env.KV.get(KV_PRX_LIST_KEY, "json") : null;
+    if (!snapshot || Date.now() - snapshot.checkedAt > PRX_LIST_MAX_AGE) {
+      snapshot = await refreshPrxList(env);
+    }
+  } catch (e) {
+    createLogger(env).error("prx_list.error", { error: e.message });
   }
 
+  if (snapshot?.entries) {
+    cachedPrxList = snapshot.entries;
+  }
   return cachedPrxList;
 }
 
+async function getPrxHealth(env) {
+  /**
+   * Format KV:
+   *
+   * prx:health -> {"cursor": 0, "entries": {"<IP>:<Port>": {"history": [120, null, ...], "lastStatus": "ACTIVE", "lastCheckedAt": 0}}}
+   * history berisi latency (ms) dari pengecekan terakhir, null jika gagal
+   */
+  const prxHealth = env.KV ? await env.KV.get(KV_PRX_HEALTH_KEY, "json") : null;
+  return prxHealth || { cursor: 0, entries: {} };
+}
+
+async function runPrxHealthCheck(env, prxList) {
+  // Dicek bergiliran per batch agar tidak melewati batas subrequest cron
+  const prxHealth = await getPrxHealth(env);
+  if (!prxList.length) return prxHealth;
+
+  const batchSize = Math.min(parseInt(env.HEALTH_CHECK_BATCH) || HEALTH_CHECK_BATCH, prxList.length);
+  const startIndex = prxHealth.cursor % prxList.length;
+  const batch = [];
+  for (let i = 0; i < batchSize; i++) {
+    batch.push(prxList[(startIndex + i) % prxList.length]);
+  }
+
+  for (let i = 0; i < batch.length; i += HEALTH_CHECK_CONCURRENCY) {
+    const results = await Promise.all(
+      batch.slice(i, i + HEALTH_CHECK_CONCURRENCY).map((prx) => checkPrxHealth(prx.prxIP, prx.prxPort))
+    );
+
+    for (const result of results) {
+      const stats = prxHealth.entries[result.target] || { history: [] };
+      stats.history = [...stats.history, result.latency].slice(-HEALTH_HISTORY_SIZE);
+      stats.lastStatus = result.status;
+      stats.lastCheckedAt = Date.now();
+      prxHealth.entries[result.target] = stats;
+    }
+  }
+
+  // Hapus statistik proxy yang sudah tidak ada di daftar
+  const targets = new Set(prxList.map((prx) => `${prx.prxIP}:${prx.prxPort}`));
+  for (const target of Object.keys(prxHealth.entries)) {
+    if (!targets.has(target)) delete prxHealth.entries[target];
+  }
+
+  prxHealth.cursor = (startIndex + batch.length) % prxList.length;
+  await env.KV.put(KV_PRX_HEALTH_KEY, JSON.stringify(prxHealth));
+
+  return prxHealth;
+}
+
+function getPrxScore(stats) {
+  if (!stats?.history.length) return null;
+  return stats.history.filter((latency) => latency !== null).length / stats.history.length;
+}
+
+function getPrxLatency(stats) {
+  const latencies = (stats?.history || []).filter((latency) => latency !== null);
+  return latencies.length ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length : null;
+}
+
+function selectPrxs(prxs, strategy, prxHealth, cursorKey) {
+  // Mengembalikan salinan prxs yang sudah diurutkan, elemen pertama dicoba lebih dulu dan sisanya jadi cadangan
+  const getStats = (prx) => prxHealth?.entries[prx];
+
+  if (strategy == "round-robin") {
+    // Cursor disimpan per isolate, jadi pembagiannya kira-kira rata, bukan persis bergiliran
+    const index = (roundRobinCursors.get(cursorKey) || 0) % prxs.length;
+    if (!roundRobinCursors.has(cursorKey) && roundRobinCursors.size >= ROUND_ROBIN_MAX_ENTRIES) {
+      roundRobinCursors.delete(roundRobinCursors.keys().next().value);
+    }
+    roundRobinCursors.set(cursorKey, index + 1);
+    return [...prxs.slice(index), ...prxs.slice(0, index)];
+  } else if (strategy == "health") {
+    // Weighted random tanpa pengembalian, proxy yang belum pernah dicek diberi bobot menengah
+    const pool = prxs.map((prx) => ({ prx: prx, weight: Math.max(getPrxScore(getStats(prx)) ?? PRX_UNKNOWN_WEIGHT, PRX_MIN_WEIGHT) }));
+    const selected = [];
+    while (pool.length) {
+      let point = Math.random() * pool.reduce((sum, item) => sum + item.weight, 0);
+      const index = Math.max(
+        pool.findIndex((item) => (point -= item.weight) < 0),
+        0
+      );
+      selected.push(pool.splice(index, 1)[0].prx);
+    }
+    return selected;
+  } else if (strategy == "latency") {
+    const shuffled = [...prxs];
+    shuffleArray(shuffled);
+    return shuffled
+      .map((prx) => ({ prx: prx, latency: getPrxLatency(getStats(prx)), alive: getStats(prx)?.lastStatus != "DEAD" }))
+      .sort((a, b) => b.alive - a.alive || (a.latency ?? Infinity) - (b.latency ?? Infinity))
+      .map((item) => item.prx);
+  }
+
+  const shuffled = [...prxs];
+  shuffleArray(shuffled);
+  return shuffled;
+}
+
+async function getStickyPrxChain(env, sticky, owner, prxChain) {
+  /**
+   * Format KV:
+   *
+   * sticky:<uuid | IP>:<negara> -> {"prx": "1.1.1.1:443", "at": 0}
+   *
+   * Proxy yang sama dipakai lagi sampai TTL habis, hilang dari daftar, atau gagal health check.
+   */
+  if (!owner || !prxChain.length) return prxChain;
+
+  const key = `${KV_STICKY_PREFIX}${owner}:${sticky.scope}`;
+  const ttl = (parseInt(env.STICKY_TTL) || STICKY_TTL) * 1000;
+  const session = env.KV ? await env.KV.get(key, "json") : stickySessions.get(key);
+
+  let prx = prxChain[0];
+  let isRenewed = true;
+  if (session && Date.now() - session.at < ttl && sticky.candidates.includes(session.prx)) {
+    const prxHealth = await getPrxHealth(env);
+    if (prxHealth.entries[session.prx]?.lastStatus != "DEAD") {
+      prx = session.prx;
+      // Ditulis ulang hanya setelah setengah TTL agar tidak menulis KV di setiap koneksi
+      isRenewed = Date.now() - session.at > ttl / 2;
+    }
+  }
+
+  if (isRenewed) {
+    const newSession = { prx: prx, at: Date.now() };
+    if (env.KV) {
+      await env.KV.put(key, JSON.stringify(newSession), { expirationTtl: Math.max(60, Math.ceil(ttl / 1000)) });
+    } else {
+      if (stickySessions.size >= STICKY_MAX_ENTRIES) {
+        stickySessions.delete(stickySessions.keys().next().value);
+      }
+      stickySessions.set(key, newSession);
+    }
+  }
+
+  return [prx, ...prxChain.filter((item) => item != prx)].slice(0, prxChain.length);
+}
+
+function filterPrxByHealth(prxList, prxHealth, env, aliveOnly = false) {
+  // Proxy yang belum pernah dicek tetap ditampilkan, kecuali alive=1
+  const minScore = parseFloat(env.HEALTH_MIN_SCORE ?? HEALTH_MIN_SCORE);
+  return prxList.filter((prx) => {
+    const stats = prxHealth.entries[`${prx.prxIP}:${prx.prxPort}`];
+    if (aliveOnly) return stats?.lastStatus === "ACTIVE";
+
+    const score = getPrxScore(stats);
+    return score === null || score >= minScore;
+  });
+}
+
 async function reverseWeb(request, target, targetPath) {
   const targetUrl = new URL(request.url);
   const targetChunk = target.split(":");
@@ -109,17 +855,20 @@ async function reverseWeb(request, target, targetPath) {
   return newResponse;
 }
 
-function getAllConfig(request, hostName, prxList, page = 0, selectedProtocol = null, selectedPort = null) {
+function getAllConfig(request, env, hostName, prxList, page = 0, selectedProtocol = null, selectedPort = null, user = null) {
+    const appDomain = getAppDomain(env);
     const startIndex = PRX_PER_PAGE * page;
     const totalProxies = prxList.length;
     const totalPages = Math.ceil(totalProxies / PRX_PER_PAGE) || 1;
 
     try {
-        const uuid = crypto.randomUUID();
+        // Tanpa token, kredensial dibuat acak setiap request
+        const uuid = user?.uuid || crypto.randomUUID();
+        const password = user?.password || uuid;
 
         // If a custom host is selected, the host/SNI will be a combination.
         // Otherwise, it's just the application's domain.
-        const effectiveHost = hostName === APP_DOMAIN ? APP_DOMAIN : `${hostName}.${APP_DOMAIN}`;
+        const effectiveHost = hostName === appDomain ? appDomain : `${hostName}.${appDomain}`;
 
         // Build URI
         // The address is the selected host (e.g., ava.game.naver.com or the app domain)
@@ -129,7 +878,7 @@ function getAllConfig(request, hostName, prxList, page = 0, selectedProtocol = n
         uri.searchParams.set("host", effectiveHost);
 
         // Build HTML
-        const document = new Document(request);
+        const document = new Document(request, env);
         document.setTitle("Free Vless Trojan SS");
         document.setTotalProxy(totalProxies);
         document.setPage(page + 1, totalPages);
@@ -142,13 +891,15 @@ function getAllConfig(request, hostName, prxList, page = 0, selectedProtocol = n
 
             uri.searchParams.set("path", `/Free-VPN-Geo-Project/${prxIP}-${prxPort}`);
 
-            const protocolsToUse = selectedProtocol && selectedProtocol !== 'all' ? [selectedProtocol] : PROTOCOLS;
+            const protocolsToUse = (selectedProtocol && selectedProtocol !== 'all' ? [selectedProtocol] : PROTOCOLS).filter(
+                (protocol) => isProtocolAllowed(user, protocol)
+            );
             const portsToUse = selectedPort && selectedPort !== 'all' ? [parseInt(selectedPort)] : PORTS;
 
             const prxs = [];
             for (const port of portsToUse) {
                 uri.port = port.toString();
-                uri.hash = `${i + 1} ${getFlagEmoji(country)} ${org} WS ${port == 443 ? "TLS" : "NTLS"} [${serviceName}]`;
+                uri.hash = `${i + 1} ${getFlagEmoji(country)} ${org} WS ${port == 443 ? "TLS" : "NTLS"} [${env.SERVICE_NAME}]`;
                 for (const protocol of protocolsToUse) {
                     // Special exceptions
                     if (protocol === "ss") {
@@ -160,7 +911,7 @@ function getAllConfig(request, hostName, prxList, page = 0, selectedProtocol = n
                             };mux=0;mode=websocket;path=/Free-VPN-Geo-Project/${prxIP}-${prxPort};host=${effectiveHost}`
                         );
                     } else {
-                        uri.username = uuid;
+                        uri.username = protocol === atob(horse) ? password : uuid;
                         uri.searchParams.delete("plugin");
                     }
 
@@ -203,60 +954,741 @@ function getAllConfig(request, hostName, prxList, page = 0, selectedProtocol = n
     }
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    try {
-      const url = new URL(request.url);
-      const upgradeHeader = request.headers.get("Upgrade");
+// Subscription renderers
+function parseProxyURI(uriString) {
+  let uri;
+  try {
+    uri = new URL(uriString.trim());
+  } catch (e) {
+    return null;
+  }
 
-      // Gateway check
-      if (apiKey && apiEmail && accountID && zoneID) {
-        isApiReady = true;
-      }
+  const type = uri.protocol.replace(":", "");
+  const name = decodeURIComponent(uri.hash.slice(1)) || uri.hostname;
+  const config = {
+    name: name,
+    type: type,
+    country: getCountryFromFlag(name),
+    server: uri.hostname,
+    port: parseInt(uri.port) || 443,
+  };
 
-      // Handle prx client
-      if (upgradeHeader === "websocket") {
-        const prxMatch = url.pathname.match(
-          /^\/Free-VPN-Geo-Project\/(.+[:=-]\d+)$/
-        );
+  if (type === "ss") {
+    // Format plugin: v2ray-plugin;tls;mux=0;mode=websocket;path=/...;host=...
+    const [cipher, ...password] = atob(decodeURIComponent(uri.username)).split(":");
+    const pluginOpts = Object.fromEntries(
+      (uri.searchParams.get("plugin") || "")
+        .split(";")
+        .slice(1)
+        .map((opt) => {
+          const [key, ...value] = opt.split("=");
+          return [key, value.length ? value.join("=") : true];
+        })
+    );
 
-        if (url.pathname.length == 3 || url.pathname.match(",")) {
-          // Contoh: /ID, /SG, dll
-          const prxKeys = url.pathname.replace("/", "").toUpperCase().split(",");
-          const prxKey = prxKeys[Math.floor(Math.random() * prxKeys.length)];
-          const kvPrx = await getKVPrxList(env.KV_PRX_URL);
+    config.cipher = cipher;
+    config.password = password.join(":");
+    config.tls = pluginOpts.tls === true;
+    config.host = pluginOpts.host || config.server;
+    config.sni = config.host;
+    config.path = pluginOpts.path || "/";
+  } else if (type === atob(flash) || type === atob(horse)) {
+    config[type === atob(flash) ? "uuid" : "password"] = decodeURIComponent(uri.username);
+    config.tls = uri.searchParams.get("security") === "tls";
+    config.host = uri.searchParams.get("host") || config.server;
+    config.sni = uri.searchParams.get("sni") || config.host;
+    config.path = uri.searchParams.get("path") || "/";
+  } else {
+    return null;
+  }
 
-          prxIP = kvPrx[prxKey][Math.floor(Math.random() * kvPrx[prxKey].length)];
+  return config;
+}
 
-          return await websocketHandler(request);
-        } else if (prxMatch) {
-          prxIP = prxMatch[1];
-          return await websocketHandler(request);
-        }
-      }
+function formatProxyURI(config) {
+  // Kebalikan parseProxyURI, untuk format raw / v2ray
+  const uri = new URL(`${config.type}://${config.server}:${config.port}`);
+  uri.searchParams.set("encryption", "none");
+  uri.searchParams.set("type", "ws");
+  uri.searchParams.set("host", config.host);
+  if (config.type === "ss") {
+    uri.username = btoa(`${config.cipher}:${config.password}`);
+    uri.searchParams.set(
+      "plugin",
+      `${atob(v2)}-plugin${config.tls ? ";tls" : ""};mux=0;mode=websocket;path=${config.path};host=${config.host}`
+    );
+  } else {
+    uri.username = config.type === atob(flash) ? config.uuid : config.password;
+  }
+  uri.searchParams.set("security", config.tls ? "tls" : "none");
+  uri.searchParams.set("sni", config.tls || config.type !== atob(flash) ? config.sni : "");
+  uri.searchParams.set("path", config.path);
+  uri.hash = config.name;
 
-      if (url.pathname.startsWith("/sub")) {
-        const page = url.pathname.match(/^\/sub\/(\d+)$/);
-        const pageIndex = parseInt(page ? page[1] : "0");
+  return uri.toString();
+}
 
-        // Queries
-        const hostname = url.searchParams.get("host") || APP_DOMAIN;
-        const countrySelect = url.searchParams.get("cc")?.toUpperCase();
-        const selectedProtocol = url.searchParams.get("vpn");
-        const selectedPort = url.searchParams.get("port");
-        const searchKeywords = url.searchParams.get("search")?.toLowerCase() || "";
-        const prxBankUrl = url.searchParams.get("prx-list") || env.PRX_BANK_URL;
-        let prxList = (await getPrxList(prxBankUrl)).filter((prx) => {
-          // Filter prxs by Country
-          if (countrySelect && countrySelect !== 'ALL') {
-            if (prx.country !== countrySelect) return false;
-          }
+function convertProxyURIs(uris, format) {
+  // Untuk /api/v1/convert, URI dari halaman web diubah dulu ke bentuk config
+  return renderProxyConfigs(uris.map(parseProxyURI).filter(Boolean), format);
+}
 
-          // Filter by search keywords
-          if (searchKeywords) {
-              const { prxIP, prxPort, country, org } = prx;
-              if (
-                  !prxIP.toLowerCase().includes(searchKeywords) &&
+function renderProxyConfigs(configs, format) {
+  const names = new Set();
+  configs = configs.map((config) => {
+    // Nama harus unik untuk proxy group
+    let name = config.name;
+    for (let i = 2; names.has(name); i++) {
+      name = `${config.name} ${i}`;
+    }
+    names.add(name);
+    return { ...config, name };
+  });
+
+  switch (format) {
+    case atob(neko):
+      return renderClashConfig(configs);
+    case "sfa":
+    case "bfr":
+      return renderSingBoxConfig(configs, format);
+    case "surge":
+      return renderSurgeConfig(configs);
+    default:
+      return null;
+  }
+}
+
+function getProxyGroups(configs) {
+  const countries = {};
+  for (const config of configs) {
+    if (!config.country) continue;
+    countries[config.country] = [...(countries[config.country] || []), config.name];
+  }
+
+  return {
+    names: configs.map((config) => config.name),
+    countries: countries,
+  };
+}
+
+function renderClashConfig(configs) {
+  // Clash tidak mendukung trojan tanpa TLS
+  configs = configs.filter((config) => config.type !== atob(horse) || config.tls);
+  const { names, countries } = getProxyGroups(configs);
+  const quote = (value) => JSON.stringify(value);
+  const list = (values) => `[${(values.length ? values : ["DIRECT"]).map(quote).join(", ")}]`;
+
+  const lines = ["mixed-port: 7890", "allow-lan: false", "mode: rule", "log-level: info", "", "proxies:"];
+  for (const config of configs) {
+    lines.push(
+      `  - name: ${quote(config.name)}`,
+      `    type: ${config.type}`,
+      `    server: ${quote(config.server)}`,
+      `    port: ${config.port}`,
+      `    udp: true`
+    );
+
+    if (config.type === "ss") {
+      lines.push(
+        `    cipher: ${config.cipher}`,
+        `    password: ${quote(config.password)}`,
+        `    plugin: ${atob(v2)}-plugin`,
+        `    plugin-opts:`,
+        `      mode: websocket`,
+        `      tls: ${config.tls}`,
+        `      skip-cert-verify: true`,
+        `      host: ${quote(config.host)}`,
+        `      path: ${quote(config.path)}`,
+        `      mux: false`
+      );
+      continue;
+    }
+
+    if (config.type === atob(flash)) {
+      lines.push(`    uuid: ${config.uuid}`, `    tls: ${config.tls}`, `    servername: ${quote(config.sni)}`);
+    } else {
+      lines.push(`    password: ${quote(config.password)}`, `    sni: ${quote(config.sni)}`);
+    }
+    lines.push(
+      `    skip-cert-verify: true`,
+      `    network: ws`,
+      `    ws-opts:`,
+      `      path: ${quote(config.path)}`,
+      `      headers:`,
+      `        Host: ${quote(config.host)}`
+    );
+  }
+
+  lines.push(
+    "",
+    "proxy-groups:",
+    `  - name: PROXY`,
+    `    type: select`,
+    `    proxies: ${list(["AUTO", ...Object.keys(countries).map((country) => `${country}-AUTO`), ...names])}`,
+    `  - name: AUTO`,
+    `    type: url-test`,
+    `    url: ${URL_TEST_URL}`,
+    `    interval: 300`,
+    `    proxies: ${list(names)}`
+  );
+  for (const [country, countryNames] of Object.entries(countries)) {
+    lines.push(
+      `  - name: ${country}-AUTO`,
+      `    type: url-test`,
+      `    url: ${URL_TEST_URL}`,
+      `    interval: 300`,
+      `    proxies: ${list(countryNames)}`
+    );
+  }
+
+  lines.push("", "rules:", "  - MATCH,PROXY", "");
+  return lines.join("\n");
+}
+
+function renderSingBoxConfig(configs, format) {
+  const { names, countries } = getProxyGroups(configs);
+  const outbounds = configs.map((config) => {
+    const outbound = {
+      type: config.type === "ss" ? "shadowsocks" : config.type,
+      tag: config.name,
+      server: config.server,
+      server_port: config.port,
+    };
+
+    if (config.type === "ss") {
+      return {
+        ...outbound,
+        method: config.cipher,
+        password: config.password,
+        plugin: `${atob(v2)}-plugin`,
+        plugin_opts: `mux=0;path=${config.path};host=${config.host}${config.tls ? ";tls" : ""}`,
+      };
+    }
+
+    if (config.type === atob(flash)) {
+      outbound.uuid = config.uuid;
+      outbound.packet_encoding = "xudp";
+    } else {
+      outbound.password = config.password;
+    }
+    if (config.tls) {
+      outbound.tls = { enabled: true, server_name: config.sni, insecure: true };
+    }
+    outbound.transport = { type: "ws", path: config.path, headers: { Host: config.host } };
+
+    return outbound;
+  });
+
+  // sfa: aplikasi sing-box android (tun), bfr: box for root (tproxy)
+  const inbound =
+    format === "bfr"
+      ? { type: "tproxy", tag: "tproxy-in", listen: "::", listen_port: 9898 }
+      : { type: "tun", tag: "tun-in", address: ["172.19.0.1/30"], auto_route: true, strict_route: true };
+  const urlTest = (tag, tags) => ({
+    type: "urltest",
+    tag: tag,
+    outbounds: tags.length ? tags : ["direct"],
+    url: URL_TEST_URL,
+    interval: "5m",
+  });
+
+  return JSON.stringify(
+    {
+      log: { level: "info" },
+      inbounds: [inbound],
+      outbounds: [
+        {
+          type: "selector",
+          tag: "PROXY",
+          outbounds: ["AUTO", ...Object.keys(countries).map((country) => `${country}-AUTO`), ...names],
+        },
+        urlTest("AUTO", names),
+        ...Object.entries(countries).map(([country, countryNames]) => urlTest(`${country}-AUTO`, countryNames)),
+        ...outbounds,
+        { type: "direct", tag: "direct" },
+      ],
+      route: { final: "PROXY", auto_detect_interface: true },
+    },
+    null,
+    2
+  );
+}
+
+function renderSurgeConfig(configs) {
+  // Surge hanya mendukung trojan (TLS) di antara protokol yang tersedia
+  configs = configs
+    .filter((config) => config.type === atob(horse) && config.tls)
+    .map((config) => ({ ...config, name: config.name.replace(/[,=]/g, " ") }));
+  const { names, countries } = getProxyGroups(configs);
+  const list = (values) => (values.length ? values : ["DIRECT"]).join(", ");
+
+  const lines = [
+    "[General]",
+    "loglevel = notify",
+    "skip-proxy = 127.0.0.1, 192.168.0.0/16, 10.0.0.0/8, 172.16.0.0/12, localhost, *.local",
+    "",
+    "[Proxy]",
+  ];
+  for (const config of configs) {
+    lines.push(
+      `${config.name} = ${atob(horse)}, ${config.server}, ${config.port}, password=${config.password}, sni=${config.sni}, ` +
+        `skip-cert-verify=true, ws=true, ws-path=${config.path}, ws-headers=Host:"${config.host}"`
+    );
+  }
+
+  lines.push(
+    "",
+    "[Proxy Group]",
+    `PROXY = select, ${list(["AUTO", ...Object.keys(countries).map((country) => `${country}-AUTO`), ...names])}`,
+    `AUTO = url-test, ${list(names)}, url=${URL_TEST_URL}, interval=300`
+  );
+  for (const [country, countryNames] of Object.entries(countries)) {
+    lines.push(`${country}-AUTO = url-test, ${list(countryNames)}, url=${URL_TEST_URL}, interval=300`);
+  }
+
+  lines.push("", "[Rule]", "FINAL,PROXY", "");
+  return lines.join("\n");
+}
+
+// Admin API
+async function isAdminRequest(request, env, body) {
+  /**
+   * Header yang diterima:
+   *
+   * Authorization: Bearer <ADMIN_TOKEN>
+   * atau
+   * X-Admin-Timestamp: <unix ms>
+   * X-Admin-Signature: hex(HMAC-SHA256(ADMIN_TOKEN, "<timestamp>\n<METHOD>\n<path + query>\n<body>"))
+   */
+  const authorization = request.headers.get("Authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    return !!env.ADMIN_TOKEN && timingSafeEqual(authorization.slice(7), env.ADMIN_TOKEN) && "bearer";
+  }
+
+  const timestamp = request.headers.get("X-Admin-Timestamp");
+  const signature = request.headers.get("X-Admin-Signature");
+  if (!env.ADMIN_TOKEN || !timestamp || !signature || Math.abs(Date.now() - parseInt(timestamp)) > ADMIN_SIGNATURE_MAX_SKEW) {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.ADMIN_TOKEN),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const expected = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${body}`)
+  );
+
+  return timingSafeEqual(signature.toLowerCase(), arrayBufferToHex(expected)) && "hmac";
+}
+
+async function isRateLimited(env, key, limit, windowMs) {
+  // Fixed window, pakai Durable Object RATE_LIMITER jika ada agar berlaku lintas isolate
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+      const res = await stub.fetch(`https://rate-limiter/?limit=${limit}&window=${windowMs}`, { method: "POST" });
+      return (await res.json()).limited;
+    } catch (e) {
+      // Gagal cek tidak memblokir request
+      createLogger(env).error("rate_limit.error", { key: key, error: e.message });
+      return false;
+    }
+  }
+
+  const window = Math.floor(Date.now() / windowMs);
+
+  if (rateLimits.size >= RATE_LIMIT_MAX_ENTRIES) {
+    for (const [cachedKey, entry] of rateLimits) {
+      if (entry.window != window) rateLimits.delete(cachedKey);
+    }
+  }
+
+  const entry = rateLimits.get(key);
+  const count = entry?.window == window ? entry.count : 0;
+  if (count >= limit) return true;
+
+  rateLimits.set(key, { window: window, count: count + 1 });
+  return false;
+}
+
+async function writeAuditLog(env, entry) {
+  /**
+   * Format KV:
+   *
+   * audit:<9999999999999 - timestamp>:<random> -> {"action": "put", "hostname": "...", "status": 200, ...}
+   *
+   * Timestamp dibalik agar KV list mengembalikan entri terbaru lebih dulu.
+   */
+  entry.at = new Date().toISOString();
+  createLogger(env).info("audit", entry);
+
+  if (env.KV) {
+    const key = `${KV_AUDIT_PREFIX}${String(9999999999999 - Date.now()).padStart(13, "0")}:${crypto.randomUUID().slice(0, 8)}`;
+    await env.KV.put(key, JSON.stringify(entry), { expirationTtl: AUDIT_LOG_TTL });
+  }
+}
+
+async function getAuditLog(env, limit = AUDIT_LOG_LIMIT) {
+  if (!env.KV) return [];
+
+  const page = await env.KV.list({ prefix: KV_AUDIT_PREFIX, limit: limit });
+  const entries = await Promise.all(page.keys.map((key) => env.KV.get(key.name, "json")));
+  return entries.filter(Boolean);
+}
+
+async function getBadWords(env) {
+  /**
+   * Format KV:
+   *
+   * badwords:list -> {"rules": ["judi", "=sex"], "source": "...", "updatedAt": 0}
+   *
+   * Rule biasa cocok di posisi mana pun dalam label (setelah dinormalisasi dan "-" dibuang),
+   * rule "=kata" hanya cocok dengan satu label / bagian label (dipisah "-") untuk menghindari salah blokir.
+   */
+  if (cachedBadWords && Date.now() - cachedBadWordsAt < BAD_WORDS_CACHE_TTL) {
+    return cachedBadWords;
+  }
+
+  let badWords = env.KV ? await env.KV.get(KV_BAD_WORDS_KEY, "json") : null;
+  if (!badWords) {
+    try {
+      badWords = await importBadWords(env);
+    } catch (e) {
+      // Jangan blokir semua registrasi hanya karena sumber daftar tidak bisa diakses
+      createLogger(env).error("bad_words.error", { error: e.message });
+      return cachedBadWords || [];
+    }
+  }
+
+  cachedBadWords = parseBadWordRules(badWords.rules);
+  cachedBadWordsAt = Date.now();
+  return cachedBadWords;
+}
+
+async function importBadWords(env) {
+  const source = env.BAD_WORDS_URL || BAD_WORDS_LIST;
+  const res = await fetch(source);
+  if (res.status != 200) {
+    throw new Error(`Failed to fetch ${source}, status ${res.status}`);
+  }
+
+  return await saveBadWords(env, (await res.text()).split("\n"), source);
+}
+
+async function saveBadWords(env, rules, source = "admin") {
+  const badWords = {
+    rules: [...new Set(rules.map((rule) => String(rule).trim().toLowerCase()).filter((rule) => rule && !rule.startsWith("#")))],
+    source: source,
+    updatedAt: Date.now(),
+  };
+  if (env.KV) {
+    await env.KV.put(KV_BAD_WORDS_KEY, JSON.stringify(badWords));
+  }
+  cachedBadWords = null;
+
+  return badWords;
+}
+
+function parseBadWordRules(rules) {
+  return (rules || [])
+    .map((rule) => {
+      const exact = rule.startsWith("=");
+      // "*kata*" dari format lama sama dengan rule biasa
+      const word = exact ? rule.slice(1) : rule.replace(/^\*(.*)\*$/, "$1");
+      return { rule: rule, word: normalizeLabel(word).replaceAll("-", ""), exact: exact };
+    })
+    .filter((rule) => rule.word);
+}
+
+function matchBadWord(hostname, rules) {
+  for (const label of hostname.split(".")) {
+    const normalized = normalizeLabel(label);
+    const joined = normalized.replaceAll("-", "");
+    const parts = [joined, ...normalized.split("-")];
+
+    const match = rules.find((rule) => (rule.exact ? parts.includes(rule.word) : joined.includes(rule.word)));
+    if (match) return match.rule;
+  }
+
+  return null;
+}
+
+async function handleAdminApi(request, env, adminPath) {
+  const jsonResponse = (data, status = 200) =>
+    new Response(JSON.stringify(data), {
+      status: status,
+      headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "application/json" },
+    });
+
+  const missingBindings = getMissingBindings(env, ["ADMIN_TOKEN", "KV"]);
+  if (missingBindings.length) {
+    return jsonResponse({ error: `Admin api not ready, missing env bindings: ${missingBindings.join(", ")}` }, 500);
+  }
+
+  const body = await request.text();
+  if (!(await isAdminRequest(request, env, body))) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  let data = {};
+  try {
+    data = body ? JSON.parse(body) : {};
+  } catch (e) {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  if (adminPath == "/badwords") {
+    // Body: {"rules": [...]} untuk PUT, {"add": [...], "remove": [...]} untuk PATCH
+    const current = (await env.KV.get(KV_BAD_WORDS_KEY, "json")) || { rules: [] };
+    if (request.method == "GET") {
+      return jsonResponse(current);
+    } else if (request.method == "PUT" || request.method == "PATCH") {
+      const rules = request.method == "PUT" ? data.rules : [...current.rules, ...(data.add || [])];
+      if (!Array.isArray(rules)) {
+        return jsonResponse({ error: "rules must be an array" }, 400);
+      }
+
+      const removed = new Set((data.remove || []).map((rule) => String(rule).trim().toLowerCase()));
+      return jsonResponse(await saveBadWords(env, rules.filter((rule) => !removed.has(String(rule).trim().toLowerCase()))));
+    }
+
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  } else if (adminPath == "/badwords/refresh") {
+    if (request.method != "POST") {
+      return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+
+    try {
+      return jsonResponse(await importBadWords(env));
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 502);
+    }
+  }
+
+  const userMatch = adminPath.match(/^\/users(?:\/([\w-]+))?(?:\/(disable|enable))?$/);
+  if (!userMatch) {
+    return jsonResponse({ error: "Not found" }, 404);
+  }
+
+  const [, uuid, action] = userMatch;
+  if (!uuid) {
+    if (request.method == "GET") {
+      return jsonResponse(await listUsers(env));
+    } else if (request.method == "POST") {
+      const user = applyUserFields(
+        {
+          uuid: crypto.randomUUID(),
+          password: arrayBufferToHex(crypto.getRandomValues(new Uint8Array(16))),
+          token: arrayBufferToHex(crypto.getRandomValues(new Uint8Array(16))),
+          name: "",
+          countries: [],
+          protocols: [],
+          disabled: false,
+          expiresAt: 0,
+          trafficLimit: 0,
+          dailyLimit: 0,
+          monthlyLimit: 0,
+          createdAt: Date.now(),
+        },
+        data
+      );
+      if (typeof user == "string") {
+        return jsonResponse({ error: user }, 400);
+      }
+      if (await getUser(env, user.uuid)) {
+        return jsonResponse({ error: `User ${user.uuid} already exists` }, 409);
+      }
+      if (await getPasswordOwner(env, user.password)) {
+        return jsonResponse({ error: "password is already used by another user" }, 409);
+      }
+
+      return jsonResponse(await saveUser(env, user), 201);
+    }
+
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  const previous = await getUser(env, uuid.toLowerCase());
+  if (!previous) {
+    return jsonResponse({ error: `User ${uuid} not found` }, 404);
+  }
+
+  if (action) {
+    if (request.method != "POST") {
+      return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+    return jsonResponse(await saveUser(env, { ...previous, disabled: action == "disable" }, previous));
+  } else if (request.method == "GET") {
+    const usage = await getUsage(env, previous.uuid);
+    return jsonResponse({ ...previous, usage: usage, quota: getQuotas(env, previous) });
+  } else if (request.method == "PATCH") {
+    const user = applyUserFields({ ...previous }, { ...data, uuid: previous.uuid });
+    if (typeof user == "string") {
+      return jsonResponse({ error: user }, 400);
+    }
+    const owner = await getPasswordOwner(env, user.password);
+    if (owner && owner != user.uuid) {
+      return jsonResponse({ error: "password is already used by another user" }, 409);
+    }
+    if (data.rotateToken) {
+      user.token = arrayBufferToHex(crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    return jsonResponse(await saveUser(env, user, previous));
+  } else if (request.method == "DELETE") {
+    await deleteUser(env, previous);
+    return jsonResponse({ deleted: previous.uuid });
+  }
+
+  return jsonResponse({ error: "Method not allowed" }, 405);
+}
+
+function applyUserFields(user, data) {
+  // Mengembalikan pesan error (string) jika input tidak valid
+  if (data.uuid !== undefined) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(data.uuid)) {
+      return "uuid must be a valid UUID";
+    }
+    user.uuid = data.uuid.toLowerCase();
+  }
+  if (data.password !== undefined) {
+    if (typeof data.password != "string" || !data.password) return "password must be a non-empty string";
+    user.password = data.password;
+  }
+  if (data.name !== undefined) user.name = String(data.name);
+  if (data.countries !== undefined) {
+    if (!Array.isArray(data.countries)) return "countries must be an array";
+    user.countries = data.countries.map((country) => String(country).toUpperCase());
+  }
+  if (data.protocols !== undefined) {
+    if (!Array.isArray(data.protocols) || data.protocols.some((protocol) => !USER_PROTOCOLS.includes(protocol))) {
+      return `protocols must be a subset of ${USER_PROTOCOLS.join(", ")}`;
+    }
+    user.protocols = data.protocols;
+  }
+  if (data.expiresAt !== undefined) {
+    const expiresAt = typeof data.expiresAt == "number" ? data.expiresAt : Date.parse(data.expiresAt);
+    if (data.expiresAt && isNaN(expiresAt)) return "expiresAt must be a timestamp or ISO date";
+    user.expiresAt = data.expiresAt ? expiresAt : 0;
+  }
+  if (data.trafficLimit !== undefined) {
+    const trafficLimit = parseInt(data.trafficLimit) || 0;
+    if (trafficLimit < 0) return "trafficLimit must be a positive number of bytes";
+    user.trafficLimit = trafficLimit;
+  }
+  for (const field of ["dailyLimit", "monthlyLimit"]) {
+    if (data[field] === undefined) continue;
+    const limit = parseInt(data[field]) || 0;
+    if (limit < 0) return `${field} must be a positive number of bytes`;
+    user[field] = limit;
+  }
+  if (data.disabled !== undefined) user.disabled = !!data.disabled;
+
+  return user;
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    try {
+      const url = new URL(request.url);
+      const upgradeHeader = request.headers.get("Upgrade");
+
+      // Handle prx client
+      if (upgradeHeader === "websocket") {
+        const prxMatch = url.pathname.match(
+          /^\/Free-VPN-Geo-Project\/(.+[:=-]\d+)$/
+        );
+
+        if (url.pathname.length == 3 || url.pathname.match(",")) {
+          // Contoh: /ID, /SG, dll
+          // Negara diurutkan dan tanpa duplikat, /SG,SG atau /SG,ID dan /ID,SG memakai pool dan cursor yang sama
+          const prxKeys = [...new Set(url.pathname.replace("/", "").toUpperCase().split(","))].sort();
+          const kvPrx = await getKVPrxList(env);
+          const knownKeys = prxKeys.filter((prxKey) => kvPrx[prxKey]?.length);
+          if (!knownKeys.length) {
+            return new Response(`No proxy available for ${prxKeys.join(", ")}`, {
+              status: 404,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          const strategy = url.searchParams.get("strategy") || env.PRX_STRATEGY || "random";
+          if (!PRX_STRATEGIES.includes(strategy)) {
+            return new Response(`Unknown strategy ${strategy}, use one of ${PRX_STRATEGIES.join(", ")}`, {
+              status: 400,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          // Proxy lain dari negara yang diminta dipakai sebagai cadangan
+          const prxHealth = strategy == "health" || strategy == "latency" ? await getPrxHealth(env) : null;
+          const countryPrxs = selectPrxs(
+            knownKeys.flatMap((prxKey) => kvPrx[prxKey]),
+            strategy,
+            prxHealth,
+            knownKeys.join(",")
+          );
+
+          const sticky = env.STICKY_SESSION ? { scope: knownKeys.join(","), candidates: countryPrxs } : null;
+          return await websocketHandler(request, env, ctx, countryPrxs.slice(0, PRX_MAX_FALLBACKS + 1), sticky);
+        } else if (prxMatch) {
+          return await websocketHandler(request, env, ctx, [prxMatch[1], ...splitList(env.PRX_FALLBACKS)]);
+        }
+      }
+
+      if (url.pathname.startsWith("/sub") || url.pathname.startsWith("/api/v1")) {
+        const missingBindings = getMissingBindings(env, IDENTITY_BINDINGS);
+        if (missingBindings.length) {
+          return new Response(`Missing env bindings: ${missingBindings.join(", ")}`, {
+            status: 500,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        }
+      }
+
+      const appDomain = getAppDomain(env);
+
+      if (url.pathname.startsWith("/sub")) {
+        const page = url.pathname.match(/^\/sub\/(\d+)$/);
+        const pageIndex = parseInt(page ? page[1] : "0");
+
+        // Queries
+        const hostname = url.searchParams.get("host") || appDomain;
+        const countrySelect = url.searchParams.get("cc")?.toUpperCase();
+        const selectedProtocol = url.searchParams.get("vpn");
+        const selectedPort = url.searchParams.get("port");
+        const searchKeywords = url.searchParams.get("search")?.toLowerCase() || "";
+        const subToken = url.searchParams.get("token");
+        const user = subToken ? await getUserByToken(env, subToken) : null;
+        if (subToken && !isUserActive(user)) {
+          return new Response("Subscription not found", {
+            status: 404,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        }
+
+        const aliveOnly = url.searchParams.get("alive") == "1";
+        const prxBankUrl = url.searchParams.get("prx-list");
+        const prxHealth = await getPrxHealth(env);
+        let prxList = filterPrxByHealth(await getPrxList(env, prxBankUrl), prxHealth, env, aliveOnly).filter((prx) => {
+          // Filter prxs by Country
+          if (countrySelect && countrySelect !== 'ALL') {
+            if (prx.country !== countrySelect) return false;
+          }
+          if (user?.countries?.length && !user.countries.includes(prx.country)) return false;
+
+          // Filter by search keywords
+          if (searchKeywords) {
+              const { prxIP, prxPort, country, org } = prx;
+              if (
+                  !prxIP.toLowerCase().includes(searchKeywords) &&
                   !prxPort.toLowerCase().includes(searchKeywords) &&
                   !country.toLowerCase().includes(searchKeywords) &&
                   !org.toLowerCase().includes(searchKeywords)
@@ -268,14 +1700,34 @@ export default {
           return true;
         });
 
-        const result = getAllConfig(request, hostname, prxList, pageIndex, selectedProtocol, selectedPort);
+        const result = getAllConfig(request, env, hostname, prxList, pageIndex, selectedProtocol, selectedPort, user);
         return new Response(result, {
           status: 200,
           headers: { "Content-Type": "text/html;charset=utf-8" },
         });
       } else if (url.pathname.startsWith("/check")) {
-        const target = url.searchParams.get("target").split(":");
-        const result = await checkPrxHealth(target[0], target[1] || "443");
+        const target = url.searchParams.get("target")?.match(/^(\[[0-9a-fA-F:.]+\]|[^:]+)(?::(\d+))?$/)?.slice(1);
+        if (!target?.[0]) {
+          return new Response("Target is required", {
+            status: 400,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        }
+
+        // Hanya proxy yang ada di daftar (kecuali admin) dan lolos ACL, agar /check tidak jadi port scanner terbuka
+        const [prxIP, prxPort = "443"] = target;
+        const aclReason = checkOutboundACL(getOutboundACL(env), prxIP, prxPort);
+        const isKnownPrx = (await getPrxList(env)).some((prx) => prx.prxIP == prxIP && prx.prxPort == prxPort);
+        if (aclReason || (!isKnownPrx && !(env.ADMIN_TOKEN && (await isAdminRequest(request, env, ""))))) {
+          return new Response(`Target is not allowed: ${aclReason || "not in proxy list"}`, {
+            status: 403,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        }
+
+        const useTLS = url.searchParams.get("tls") == "1";
+        const result = await checkPrxHealth(prxIP, prxPort, useTLS);
+        result.colo = request.cf?.colo || null;
 
         return new Response(JSON.stringify(result), {
           status: 200,
@@ -287,15 +1739,59 @@ export default {
       } else if (url.pathname.startsWith("/api/v1")) {
         const apiPath = url.pathname.replace("/api/v1", "");
 
+        if (request.method == "OPTIONS") {
+          return new Response(null, {
+            status: 204,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        }
+
         if (apiPath.startsWith("/domains")) {
-          if (!isApiReady) {
-            return new Response("Api not ready", {
+          const missingBindings = getMissingBindings(env, API_BINDINGS);
+          if (missingBindings.length) {
+            return new Response(`Api not ready, missing env bindings: ${missingBindings.join(", ")}`, {
               status: 500,
+              headers: { ...CORS_HEADER_OPTIONS },
             });
           }
 
           const wildcardApiPath = apiPath.replace("/domains", "");
-          const cloudflareApi = new CloudflareApi();
+          const cloudflareApi = new CloudflareApi(env);
+
+          // Semua perubahan domain wajib memakai token admin
+          let audit = null;
+          if (wildcardApiPath != "/get") {
+            const clientIP = request.headers.get("cf-connecting-ip") || request.headers.get("x-real-ip") || "unknown";
+            const rateLimit = parseInt(env.DOMAIN_RATE_LIMIT) || DOMAIN_RATE_LIMIT;
+            if (await isRateLimited(env, `domains:${clientIP}`, rateLimit, DOMAIN_RATE_LIMIT_WINDOW)) {
+              return new Response("Too many requests", {
+                status: 429,
+                headers: { ...CORS_HEADER_OPTIONS, "Retry-After": String(DOMAIN_RATE_LIMIT_WINDOW / 1000) },
+              });
+            }
+
+            if (!env.ADMIN_TOKEN) {
+              return new Response("Api not ready, missing env bindings: ADMIN_TOKEN", {
+                status: 500,
+                headers: { ...CORS_HEADER_OPTIONS },
+              });
+            }
+
+            audit = {
+              action: wildcardApiPath.replace("/", ""),
+              ip: clientIP,
+              country: request.cf?.country || null,
+              userAgent: request.headers.get("User-Agent"),
+            };
+            audit.auth = await isAdminRequest(request, env, await request.clone().text());
+            if (!audit.auth) {
+              await writeAuditLog(env, { ...audit, status: 401 });
+              return new Response("Unauthorized", {
+                status: 401,
+                headers: { ...CORS_HEADER_OPTIONS },
+              });
+            }
+          }
 
           if (wildcardApiPath == "/get") {
             const domains = await cloudflareApi.getDomainList();
@@ -307,23 +1803,16 @@ export default {
           } else if (wildcardApiPath == "/put") {
             const domain = url.searchParams.get("domain");
             const register = await cloudflareApi.registerDomain(domain);
+            await writeAuditLog(env, { ...audit, hostname: domain, ...register });
 
-            return new Response(register.toString(), {
-              status: register,
+            return new Response(register.rule ? `Domain rejected by rule "${register.rule}"` : register.status.toString(), {
+              status: register.status,
               headers: {
                 ...CORS_HEADER_OPTIONS,
               },
             });
           } else if (wildcardApiPath.startsWith("/delete")) {
             const domainId = url.searchParams.get("id");
-            const password = url.searchParams.get("password");
-
-            if (password !== ownerPassword) {
-              return new Response("Unauthorized", {
-                status: 401,
-                headers: { ...CORS_HEADER_OPTIONS },
-              });
-            }
 
             if (!domainId) {
               return new Response("Domain ID is required", {
@@ -332,70 +1821,130 @@ export default {
               });
             }
 
-            const result = await cloudflareApi.deleteDomain(domainId);
+            // Id yang bukan milik worker ini tidak dihapus
+            const hostname = (await cloudflareApi.getDomainList()).find((domain) => domain.id == domainId)?.hostname;
+            const result = hostname ? await cloudflareApi.deleteDomain(domainId) : 404;
+            await writeAuditLog(env, { ...audit, id: domainId, hostname: hostname || null, status: result });
+
             return new Response(result.toString(), {
               status: result,
               headers: { ...CORS_HEADER_OPTIONS },
             });
-          }
-        } else if (apiPath.startsWith("/sub")) {
-          const filterCC = url.searchParams.get("cc")?.split(",") || [];
-          const filterPort = url.searchParams.get("port")?.split(",") || PORTS;
-          const filterVPN = url.searchParams.get("vpn")?.split(",") || PROTOCOLS;
-          const filterLimit = parseInt(url.searchParams.get("limit")) || 10;
+          } else if (wildcardApiPath == "/bulk/put" || wildcardApiPath == "/bulk/delete" || wildcardApiPath == "/sync") {
+            // Body: {"domains": ["..."]} untuk bulk/put dan sync, {"ids": ["..."]} untuk bulk/delete
+            const body = await request.json().catch(() => ({}));
+            const list = wildcardApiPath == "/bulk/delete" ? body.ids : body.domains;
+            if (!Array.isArray(list) || list.some((item) => typeof item != "string")) {
+              return new Response(`Body must contain ${wildcardApiPath == "/bulk/delete" ? "ids" : "domains"} array`, {
+                status: 400,
+                headers: { ...CORS_HEADER_OPTIONS },
+              });
+            }
+
+            let result;
+            if (wildcardApiPath == "/bulk/put") {
+              result = await cloudflareApi.registerDomains(list);
+              for (const entry of result) {
+                await writeAuditLog(env, { ...audit, ...entry });
+              }
+            } else if (wildcardApiPath == "/bulk/delete") {
+              result = await cloudflareApi.deleteDomains(list);
+              for (const entry of result) {
+                await writeAuditLog(env, { ...audit, ...entry });
+              }
+            } else {
+              result = await cloudflareApi.syncDomains(list, !!body.dryRun);
+              if (!body.dryRun) {
+                for (const entry of result.registered) {
+                  await writeAuditLog(env, { ...audit, action: "sync/put", ...entry });
+                }
+                for (const entry of result.deleted) {
+                  await writeAuditLog(env, { ...audit, action: "sync/delete", ...entry });
+                }
+              }
+            }
+
+            return new Response(JSON.stringify(result), {
+              headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "application/json" },
+            });
+          } else if (wildcardApiPath == "/audit") {
+            return new Response(JSON.stringify(await getAuditLog(env)), {
+              headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "application/json" },
+            });
+          }
+        } else if (apiPath.startsWith("/sub")) {
+          // /api/v1/sub/<token> memakai kredensial tetap milik user
+          const subToken = apiPath.match(/^\/sub\/([\w-]+)$/)?.[1];
+          const user = subToken ? await getUserByToken(env, subToken) : null;
+          if (subToken && !isUserActive(user)) {
+            return new Response("Subscription not found", {
+              status: 404,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          const filterCC = url.searchParams.get("cc")?.split(",") || [];
+          const filterPort = url.searchParams.get("port")?.split(",") || PORTS;
+          const filterVPN = (url.searchParams.get("vpn")?.split(",") || PROTOCOLS).filter(
+            (protocol) => isProtocolAllowed(user, protocol)
+          );
+          const filterLimit = parseInt(url.searchParams.get("limit")) || 10;
           const filterFormat = url.searchParams.get("format") || "raw";
-          const fillerDomain = url.searchParams.get("domain") || APP_DOMAIN;
-          const effectiveHost = fillerDomain === APP_DOMAIN ? APP_DOMAIN : `${fillerDomain}.${APP_DOMAIN}`;
+          const aliveOnly = url.searchParams.get("alive") == "1";
+          const fillerDomain = url.searchParams.get("domain") || appDomain;
+          const effectiveHost = fillerDomain === appDomain ? appDomain : `${fillerDomain}.${appDomain}`;
 
-          const prxBankUrl = url.searchParams.get("prx-list") || env.PRX_BANK_URL;
-          const prxList = await getPrxList(prxBankUrl)
+          const prxBankUrl = url.searchParams.get("prx-list");
+          const prxHealth = await getPrxHealth(env);
+          const prxList = await getPrxList(env, prxBankUrl)
             .then((prxs) => {
               // Filter CC
               if (filterCC.length) {
-                return prxs.filter((prx) => filterCC.includes(prx.country));
+                prxs = prxs.filter((prx) => filterCC.includes(prx.country));
+              }
+              if (user?.countries?.length) {
+                prxs = prxs.filter((prx) => user.countries.includes(prx.country));
               }
               return prxs;
             })
+            .then((prxs) => filterPrxByHealth(prxs, prxHealth, env, aliveOnly))
             .then((prxs) => {
-              // shuffle result
+              // shuffle result, lalu proxy dengan skor lebih tinggi didahulukan
               shuffleArray(prxs);
-              return prxs;
+              const score = (prx) => getPrxScore(prxHealth.entries[`${prx.prxIP}:${prx.prxPort}`]) ?? 0.5;
+              return prxs.sort((a, b) => score(b) - score(a));
             });
 
-          const uuid = crypto.randomUUID();
-          const result = [];
+          const uuid = user?.uuid || crypto.randomUUID();
+          const password = user?.password || uuid;
+          const configs = [];
           for (const prx of prxList) {
-            const uri = new URL(`${atob(horse)}://${fillerDomain}`);
-            uri.searchParams.set("encryption", "none");
-            uri.searchParams.set("type", "ws");
-            uri.searchParams.set("host", effectiveHost);
-
             for (const port of filterPort) {
               for (const protocol of filterVPN) {
-                if (result.length >= filterLimit) break;
-
-                uri.protocol = protocol;
-                uri.port = port.toString();
+                if (configs.length >= filterLimit) break;
+
+                const config = {
+                  name: `${configs.length + 1} ${getFlagEmoji(prx.country)} ${prx.org} WS ${
+                    port == 443 ? "TLS" : "NTLS"
+                  } [${env.SERVICE_NAME}]`,
+                  type: protocol,
+                  country: prx.country,
+                  server: fillerDomain,
+                  port: parseInt(port),
+                  tls: port == 443,
+                  host: effectiveHost,
+                  sni: effectiveHost,
+                  path: `/Free-VPN-Geo-Project/${prx.prxIP}-${prx.prxPort}`,
+                };
                 if (protocol == "ss") {
-                  uri.username = btoa(`none:${uuid}`);
-                  uri.searchParams.set(
-                    "plugin",
-                    `${atob(v2)}-plugin${port == 80 ? "" : ";tls"};mux=0;mode=websocket;path=/Free-VPN-Geo-Project/${prxIP}-${
-                      prx.prxPort
-                    };host=${effectiveHost}`
-                  );
+                  config.cipher = "none";
+                  config.password = uuid;
+                } else if (protocol == atob(horse)) {
+                  config.password = password;
                 } else {
-                  uri.username = uuid;
+                  config.uuid = uuid;
                 }
-
-                uri.searchParams.set("security", port == 443 ? "tls" : "none");
-                uri.searchParams.set("sni", port == 80 && protocol == atob(flash) ? "" : effectiveHost);
-                uri.searchParams.set("path", `/Free-VPN-Geo-Project/${prxIP}-${prx.prxPort}`);
-
-                uri.hash = `${result.length + 1} ${getFlagEmoji(prx.country)} ${prx.org} WS ${
-                  port == 443 ? "TLS" : "NTLS"
-                } [${serviceName}]`;
-                result.push(uri.toString());
+                configs.push(config);
               }
             }
           }
@@ -403,32 +1952,16 @@ export default {
           let finalResult = "";
           switch (filterFormat) {
             case "raw":
-              finalResult = result.join("\n");
+              finalResult = configs.map(formatProxyURI).join("\n");
               break;
             case atob(v2):
-              finalResult = btoa(result.join("\n"));
+              finalResult = btoa(configs.map(formatProxyURI).join("\n"));
               break;
             case atob(neko):
             case "sfa":
             case "bfr":
-              const res = await fetch(CONVERTER_URL, {
-                method: "POST",
-                body: JSON.stringify({
-                  url: result.join(","),
-                  format: filterFormat,
-                  template: "cf",
-                }),
-              });
-              if (res.status == 200) {
-                finalResult = await res.text();
-              } else {
-                return new Response(res.statusText, {
-                  status: res.status,
-                  headers: {
-                    ...CORS_HEADER_OPTIONS,
-                  },
-                });
-              }
+            case "surge":
+              finalResult = renderProxyConfigs(configs, filterFormat);
               break;
           }
 
@@ -438,6 +1971,93 @@ export default {
               ...CORS_HEADER_OPTIONS,
             },
           });
+        } else if (apiPath.startsWith("/convert")) {
+          // Body: {"url": "<uri>,<uri>", "format": "clash" | "sfa" | "bfr" | "surge"}
+          const body = await request.json().catch(() => ({}));
+          const uris = (body.url || "").split(/[,\n]/).filter(Boolean);
+          const result = convertProxyURIs(uris, body.format);
+
+          if (result === null) {
+            return new Response(`Unsupported format: ${body.format}`, {
+              status: 400,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          return new Response(result, {
+            status: 200,
+            headers: { ...CORS_HEADER_OPTIONS },
+          });
+        } else if (apiPath.startsWith("/proxies/lint")) {
+          // GET: periksa semua sumber di PRX_SOURCES, POST: periksa daftar yang dikirim di body
+          // Hanya admin, karena hasilnya memuat URL / key KV sumber privat dan isi daftarnya
+          if (!env.ADMIN_TOKEN) {
+            return new Response("Missing env bindings: ADMIN_TOKEN", {
+              status: 500,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+          const body = request.method == "POST" ? await request.text() : "";
+          if (!(await isAdminRequest(request, env, body))) {
+            return new Response("Unauthorized", {
+              status: 401,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          let reports;
+          if (request.method == "POST") {
+            const { entries, rejected } = lintPrxList(body, "body");
+            reports = [{ source: "body", valid: entries.length, rejected: rejected }];
+          } else {
+            reports = await Promise.all(
+              getPrxSources(env).map(async (source) => {
+                try {
+                  const { entries, rejected } = await loadPrxSource(env, source);
+                  return { source: source, valid: entries.length, rejected: rejected };
+                } catch (e) {
+                  return { source: source, valid: 0, rejected: [], error: e.message };
+                }
+              })
+            );
+          }
+
+          return new Response(JSON.stringify(reports), {
+            headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "application/json" },
+          });
+        } else if (apiPath.startsWith("/metrics")) {
+          // ?format=prometheus untuk scraper, default JSON
+          if (!env.METRICS) {
+            return new Response("Missing env bindings: METRICS", {
+              status: 500,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+          if (env.ADMIN_TOKEN && !(await isAdminRequest(request, env, ""))) {
+            return new Response("Unauthorized", {
+              status: 401,
+              headers: { ...CORS_HEADER_OPTIONS },
+            });
+          }
+
+          await flushMetrics(env, ctx, true);
+          const { startedAt, metrics } = await (await getMetricsStub(env).fetch("https://metrics/")).json();
+
+          if (url.searchParams.get("format") == "prometheus") {
+            return new Response(renderPrometheusMetrics(metrics), {
+              headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "text/plain; version=0.0.4" },
+            });
+          }
+
+          const result = { startedAt: startedAt, metrics: {} };
+          for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+            result.metrics[name] = { ...definition, series: Object.values(metrics[name] || {}) };
+          }
+          return new Response(JSON.stringify(result), {
+            headers: { ...CORS_HEADER_OPTIONS, "Content-Type": "application/json" },
+          });
+        } else if (apiPath.startsWith("/admin")) {
+          return await handleAdminApi(request, env, apiPath.replace("/admin", ""));
         } else if (apiPath.startsWith("/myip")) {
           return new Response(
             JSON.stringify({
@@ -468,36 +2088,98 @@ export default {
       });
     }
   },
+
+  async scheduled(event, env, ctx) {
+    // Atur Cron Triggers di Settings -> Triggers, contoh: */30 * * * *
+    const log = createLogger(env, ctx, { cron: event.cron });
+    ctx.waitUntil(
+      refreshPrxList(env)
+        .then(async (snapshot) => {
+          log.info("prx_list.refresh", {
+            version: snapshot.version,
+            entries: snapshot.entries.length,
+            sources: snapshot.sources,
+          });
+
+          if (env.KV) {
+            const prxHealth = await runPrxHealthCheck(env, snapshot.entries);
+            log.info("prx_health.check", { cursor: prxHealth.cursor });
+          }
+        })
+        .catch((error) => {
+          log.error("prx_list.error", { error: error.message });
+        })
+        .finally(() => log.flush())
+    );
+  },
 };
 
-async function websocketHandler(request) {
+async function websocketHandler(request, env, ctx, prxChain, sticky = null) {
+  // prxChain dibawa per koneksi, jangan disimpan di variabel global karena isolate dipakai bersama
   const webSocketPair = new WebSocketPair();
   const [client, webSocket] = Object.values(webSocketPair);
 
   webSocket.accept();
 
-  let addressLog = "";
-  let portLog = "";
-  const log = (info, event) => {
-    console.log(`[${addressLog}:${portLog}] ${info}`, event || "");
-  };
+  const startedAt = Date.now();
+  const log = createLogger(env, ctx, {
+    connID: crypto.randomUUID(),
+    clientIP: request.headers.get("cf-connecting-ip"),
+    colo: request.cf?.colo || null,
+  });
+  // Diisi saat koneksi ditolak atau ditutup dari sisi remote, dipakai di event connection.close
+  log.closeReason = null;
   const earlyDataHeader = request.headers.get("sec-websocket-protocol") || "";
 
   const readableWebSocketStream = makeReadableWebSocketStream(webSocket, earlyDataHeader, log);
 
+  // pending berisi proses connect / retry yang sedang berjalan, chunk berikutnya menunggu proses ini
   let remoteSocketWrapper = {
     value: null,
+    pending: null,
+  };
+  let udpOutbound = null;
+  const traffic = createTrafficCounter(env, ctx, log);
+
+  let isClosed = false;
+  let isOpened = false;
+  const closeConnection = (reason, data = {}) => {
+    if (isClosed) return;
+    isClosed = true;
+
+    udpOutbound?.close();
+    traffic.flush();
+    if (isOpened) {
+      flushGauge(env, ctx, "tunnel_active_connections", -1);
+    }
+    // Penolakan (acl, quota, dll) sudah dihitung di tempatnya, close normal tidak dihitung sebagai error
+    if (reason == "error" && !log.closeReason) {
+      recordMetric("tunnel_errors_total", { type: "connection" });
+    }
+    flushMetrics(env, ctx);
+    log.info("connection.close", {
+      reason: log.closeReason || reason,
+      bytesUp: traffic.totalUpload,
+      bytesDown: traffic.totalDownload,
+      durationMs: Date.now() - startedAt,
+      ...data,
+    });
+    log.flush();
   };
-  let isDNS = false;
 
   readableWebSocketStream
     .pipeTo(
       new WritableStream({
         async write(chunk, controller) {
-          if (isDNS) {
-            return handleUDPOutbound(DNS_SERVER_ADDRESS, DNS_SERVER_PORT, chunk, webSocket, null, log);
+          traffic.add(chunk.byteLength, 0);
+          if (udpOutbound) {
+            return udpOutbound.write(chunk);
           }
-          if (remoteSocketWrapper.value) {
+          if (remoteSocketWrapper.pending) {
+            await remoteSocketWrapper.pending;
+            // Koneksi keluar ditolak atau gagal, websocket sudah ditutup
+            if (!remoteSocketWrapper.value) return;
+
             const writer = remoteSocketWrapper.value.writable.getWriter();
             await writer.write(chunk);
             writer.releaseLock();
@@ -505,65 +2187,105 @@ async function websocketHandler(request) {
           }
 
           const protocol = await protocolSniffer(chunk);
+          const credentials = await getCredentials(env);
+          const user = credentials.enforced ? await findUser(env, protocol, chunk) : null;
           let protocolHeader;
 
           if (protocol === atob(horse)) {
-            protocolHeader = readHorseHeader(chunk);
+            protocolHeader = readHorseHeader(chunk, credentials, user);
           } else if (protocol === atob(flash)) {
-            protocolHeader = readFlashHeader(chunk);
+            protocolHeader = readFlashHeader(chunk, credentials, user);
           } else if (protocol === "ss") {
-            protocolHeader = readSsHeader(chunk);
+            protocolHeader = readSsHeader(chunk, credentials);
           } else {
             throw new Error("Unknown Protocol!");
           }
 
-          addressLog = protocolHeader.addressRemote;
-          portLog = `${protocolHeader.portRemote} -> ${protocolHeader.isUDP ? "UDP" : "TCP"}`;
+          log.fields.protocol = protocol;
+          if (protocolHeader.isUnauthorized) {
+            log.closeReason = "unauthorized";
+            log.warn("connection.reject", { reason: protocolHeader.message });
+            recordMetric("tunnel_errors_total", { type: "unauthorized" });
+            safeCloseWebSocket(webSocket);
+          }
 
           if (protocolHeader.hasError) {
             throw new Error(protocolHeader.message);
           }
 
-          if (protocolHeader.isUDP) {
-            if (protocolHeader.portRemote === 53) {
-              isDNS = true;
-            } else {
-              // return handleUDPOutbound(protocolHeader.addressRemote, protocolHeader.portRemote, chunk, webSocket, protocolHeader.version, log);
-              throw new Error("UDP only support for DNS port 53");
+          log.fields.user = protocolHeader.userID || null;
+          log.fields.destination = `${protocolHeader.addressRemote}:${protocolHeader.portRemote}`;
+          log.fields.network = protocolHeader.isUDP ? "udp" : "tcp";
+
+          if (protocolHeader.userID && (await isOverQuota(env, protocolHeader.userID, user))) {
+            log.closeReason = "quota_exceeded";
+            log.warn("connection.reject", { reason: "quota exceeded" });
+            recordMetric("tunnel_errors_total", { type: "quota" });
+            safeCloseWebSocket(webSocket);
+            throw new Error("Quota exceeded");
+          }
+          if (user?.countries?.length) {
+            prxChain = await filterPrxChainByCountry(env, prxChain, user.countries);
+            if (sticky) {
+              sticky = { ...sticky, candidates: await filterPrxChainByCountry(env, sticky.candidates, user.countries) };
+            }
+            if (!prxChain.length) {
+              log.closeReason = "country_denied";
+              log.warn("connection.reject", { reason: `proxy country is not in ${user.countries.join(", ")}` });
+              recordMetric("tunnel_errors_total", { type: "country" });
+              safeCloseWebSocket(webSocket);
+              throw new Error("Country not allowed");
             }
           }
+          traffic.userID = protocolHeader.userID;
+          traffic.user = user;
+          log.info("connection.open");
+
+          isOpened = true;
+          flushGauge(env, ctx, "tunnel_active_connections", 1);
+          recordMetric("tunnel_connections_total", {
+            protocol: protocol,
+            network: log.fields.network,
+            country: request.cf?.country || "XX",
+          });
+          flushMetrics(env, ctx);
 
-          if (isDNS) {
-            return handleUDPOutbound(
-              DNS_SERVER_ADDRESS,
-              DNS_SERVER_PORT,
-              chunk,
-              webSocket,
-              protocolHeader.version,
-              log
-            );
+          if (sticky) {
+            // Mode "uuid" memakai IP jika protokol tidak membawa identitas user (misalnya ss)
+            const clientIP = request.headers.get("cf-connecting-ip");
+            const owner = env.STICKY_SESSION == "uuid" ? protocolHeader.userID || clientIP : clientIP;
+            prxChain = await getStickyPrxChain(env, sticky, owner, prxChain);
+          }
+
+          if (protocolHeader.isUDP) {
+            udpOutbound = handleUDPOutbound(protocol, protocolHeader, webSocket, env, traffic, log);
+            return udpOutbound.write(protocolHeader.rawClientData);
           }
 
-          handleTCPOutBound(
+          remoteSocketWrapper.pending = handleTCPOutBound(
             remoteSocketWrapper,
             protocolHeader.addressRemote,
             protocolHeader.portRemote,
             protocolHeader.rawClientData,
             webSocket,
             protocolHeader.version,
+            prxChain,
+            env,
+            traffic,
             log
           );
+          return remoteSocketWrapper.pending;
         },
         close() {
-          log(`readableWebSocketStream is close`);
+          closeConnection("client_closed");
         },
         abort(reason) {
-          log(`readableWebSocketStream is abort`, JSON.stringify(reason));
+          closeConnection("client_aborted", { error: String(reason) });
         },
       })
     )
     .catch((err) => {
-      log("readableWebSocketStream pipeTo error", err);
+      closeConnection("error", { error: err?.message || String(err) });
     });
 
   return new Response(null, {
@@ -572,6 +2294,45 @@ async function websocketHandler(request) {
   });
 }
 
+function createTrafficCounter(env, ctx, log) {
+  // Pemakaian disimpan berkala dan saat koneksi ditutup, bukan per chunk
+  return {
+    userID: null,
+    user: null,
+    upload: 0,
+    download: 0,
+    totalUpload: 0,
+    totalDownload: 0,
+    flushedAt: Date.now(),
+    add(upload, download) {
+      this.upload += upload;
+      this.download += download;
+      this.totalUpload += upload;
+      this.totalDownload += download;
+      if (Date.now() - this.flushedAt > USAGE_FLUSH_INTERVAL) {
+        this.flush();
+      }
+    },
+    flush() {
+      const { userID, user, upload, download } = this;
+      this.upload = 0;
+      this.download = 0;
+      this.flushedAt = Date.now();
+
+      recordMetric("tunnel_bytes_total", { direction: "in" }, upload);
+      recordMetric("tunnel_bytes_total", { direction: "out" }, download);
+      flushMetrics(env, ctx);
+      if ((!env.USAGE && !env.KV) || !userID || !(upload || download)) return;
+
+      ctx.waitUntil(
+        addUsage(env, userID, upload, download, getUsagePeriods(env, user)).catch((error) => {
+          log.error("usage.flush_failed", { error: error.message });
+        })
+      );
+    },
+  };
+}
+
 async function protocolSniffer(buffer) {
   if (buffer.byteLength >= 62) {
     const horseDelimiter = new Uint8Array(buffer.slice(56, 60));
@@ -600,146 +2361,580 @@ async function handleTCPOutBound(
   rawClientData,
   webSocket,
   responseHeader,
+  prxChain,
+  env,
+  traffic,
   log
 ) {
+  const acl = getOutboundACL(env);
+  const aclReason = await checkResolvedACL(env, acl, addressRemote, portRemote, log);
+  if (aclReason) {
+    log.closeReason = "acl_denied";
+    log.warn("acl.reject", { target: `${addressRemote}:${portRemote}`, reason: aclReason });
+    recordMetric("tunnel_errors_total", { type: "acl" });
+    safeCloseWebSocket(webSocket);
+    return;
+  }
+
+  // Aturan rute menentukan jalur keluar sebelum koneksi pertama dibuat
+  const route = matchRouteRule(getRouteRules(env), addressRemote, portRemote);
+  if (route) {
+    log.debug("route.match", { rule: route.rule, action: route.action });
+    if (route.action == "BLOCK") {
+      log.closeReason = "route_blocked";
+      log.warn("route.block", { target: `${addressRemote}:${portRemote}`, rule: route.rule });
+      recordMetric("tunnel_errors_total", { type: "route" });
+      safeCloseWebSocket(webSocket);
+      return;
+    }
+
+    if (route.action == "DIRECT") {
+      prxChain = [];
+    } else if (route.prx) {
+      prxChain = [route.prx];
+    } else if (route.countries) {
+      prxChain = await getCountryPrxChain(env, route.countries);
+      if (!prxChain.length) {
+        log.warn("route.no_proxy", { rule: route.rule, countries: route.countries });
+      }
+    }
+  }
+
   async function connectAndWrite(address, port) {
     const tcpSocket = connect({
-      hostname: address,
+      hostname: stripIPv6Brackets(address),
       port: port,
     });
-    remoteSocket.value = tcpSocket;
-    log(`connected to ${address}:${port}`);
+
+    // Data awal diantrekan langsung setelah connect() agar selalu terkirim lebih dulu,
+    // socket baru dipakai chunk berikutnya setelah data awal tertulis
     const writer = tcpSocket.writable.getWriter();
-    await writer.write(rawClientData);
-    writer.releaseLock();
+    try {
+      await withTimeout(Promise.all([tcpSocket.opened, writer.write(rawClientData)]), PRX_CONNECT_TIMEOUT);
+    } catch (error) {
+      tcpSocket.close().catch(() => {});
+      throw error;
+    } finally {
+      writer.releaseLock();
+    }
+
+    log.debug("tcp.connect", { address: address, port: port });
+    remoteSocket.value = tcpSocket;
 
     return tcpSocket;
   }
 
+  // Urutan retry mengikuti prxChain, dengan jeda yang naik eksponensial
+  // Proxy hanya dicek terhadap deny list, allow list berlaku untuk tujuan akhir
+  const prxQueue = prxChain
+    .filter(Boolean)
+    .map((value) => {
+      const prx = parsePrxAddress(value);
+      if (!prx) {
+        log.warn("prx.invalid", { prx: value, reason: "expected host:port" });
+      }
+      return prx;
+    })
+    .filter((prx) => {
+      const reason = prx && checkOutboundACL(acl, prx.address, prx.port, true);
+      if (reason) {
+        log.warn("acl.reject", { target: `${prx.address}:${prx.port}`, reason: reason });
+      }
+      return prx && !reason;
+    });
+  // Aksi selain DIRECT langsung ke proxy tanpa mencoba tujuan asli lebih dulu,
+  // begitu juga tujuan di jaringan Cloudflare yang tidak bisa dijangkau connect() secara langsung
+  const skipDirect = Boolean(
+    prxQueue.length && (route ? route.action != "DIRECT" : await isCloudflareHost(env, addressRemote, log))
+  );
+  let retryCount = 0;
+
   async function retry() {
-    const tcpSocket = await connectAndWrite(
-      prxIP.split(/[:=-]/)[0] || addressRemote,
-      prxIP.split(/[:=-]/)[1] || portRemote
-    );
-    tcpSocket.closed
-      .catch((error) => {
-        console.log("retry tcpSocket closed error", error);
-      })
-      .finally(() => {
+    while (true) {
+      const { address, port } = prxQueue.shift() || {};
+      if (!skipDirect || retryCount > 0) {
+        recordMetric("tunnel_retries_total");
+      }
+      if (retryCount > 0) {
+        await sleep(PRX_RETRY_BACKOFF * 2 ** (retryCount - 1));
+      }
+      retryCount++;
+
+      let tcpSocket;
+      try {
+        tcpSocket = await connectAndWrite(address || addressRemote, port || portRemote);
+      } catch (error) {
+        log.warn("tcp.retry_failed", {
+          attempt: retryCount,
+          address: address || addressRemote,
+          port: port || portRemote,
+          error: error.message,
+        });
+        if (prxQueue.length) continue;
+
         safeCloseWebSocket(webSocket);
-      });
-    remoteSocketToWS(tcpSocket, webSocket, responseHeader, null, log);
+        return;
+      }
+
+      remoteSocketToWS(tcpSocket, webSocket, responseHeader, prxQueue.length ? fallback : null, traffic, log);
+      return;
+    }
   }
 
-  const tcpSocket = await connectAndWrite(addressRemote, portRemote);
+  // Chunk dari client menunggu retry selesai lewat remoteSocket.pending
+  const fallback = () => (remoteSocket.pending = retry());
+  if (skipDirect) return fallback();
+
+  // Rute DIRECT tidak punya cadangan, koneksi ditutup jika tujuan gagal
+  const isDirectOnly = route?.action == "DIRECT";
+  let tcpSocket;
+  try {
+    tcpSocket = await connectAndWrite(addressRemote, portRemote);
+  } catch (error) {
+    log.info("tcp.direct_failed", { error: error.message });
+    if (!isDirectOnly) return fallback();
+
+    safeCloseWebSocket(webSocket);
+    return;
+  }
 
-  remoteSocketToWS(tcpSocket, webSocket, responseHeader, retry, log);
+  remoteSocketToWS(tcpSocket, webSocket, responseHeader, isDirectOnly ? null : fallback, traffic, log);
 }
 
-async function handleUDPOutbound(targetAddress, targetPort, udpChunk, webSocket, responseHeader, log) {
-  try {
-    let protocolHeader = responseHeader;
-    const tcpSocket = connect({
-      hostname: targetAddress,
-      port: targetPort,
-    });
+function handleUDPOutbound(protocol, protocolHeader, webSocket, env, traffic, log) {
+  /**
+   * Framing paket UDP di dalam websocket:
+   * - vless / ss : <Length(2)><Payload>, tujuan mengikuti header
+   * - trojan     : <ATYP><Address><Port(2)><Length(2)><CRLF><Payload>
+   *
+   * Workers hanya bisa membuka koneksi TCP, jadi paket selain DNS diteruskan ke env.UDP_RELAY
+   * lewat satu koneksi TCP per tunnel, dua arah memakai framing trojan di atas
+   * (ATYP 1 = IPv4, 3 = domain, 4 = IPv6; balasan relay membawa alamat sumber paket):
+   * - host:port                    : relay langsung menerima / mengirim frame tanpa handshake
+   * - trojan://password@host:port  : server trojan biasa, koneksi TLS lalu header trojan
+   *                                  <SHA224 hex><CRLF><CMD 3><ATYP 1><0.0.0.0><Port 0><CRLF>
+   *
+   * ss tanpa enkripsi tidak punya command UDP (dan UDP-over-TCP milik sing-box / mihomo belum didukung),
+   * jadi untuk ss hanya DNS (port 53) yang dikenali sebagai UDP.
+   */
+  const readClientPackets = makeUDPPacketReader(protocol, protocolHeader);
+  let responseHeader = protocolHeader.version;
+  let relaySocket = null;
+  let relayWriter = null;
 
-    log(`Connected to ${targetAddress}:${targetPort}`);
+  async function sendToClient(packet) {
+    if (webSocket.readyState !== WS_READY_STATE_OPEN) return;
 
-    const writer = tcpSocket.writable.getWriter();
-    await writer.write(udpChunk);
-    writer.releaseLock();
+    const header = responseHeader;
+    responseHeader = null;
 
-    await tcpSocket.readable.pipeTo(
-      new WritableStream({
-        async write(chunk) {
-          if (webSocket.readyState === WS_READY_STATE_OPEN) {
-            if (protocolHeader) {
-              webSocket.send(await new Blob([protocolHeader, chunk]).arrayBuffer());
-              protocolHeader = null;
-            } else {
-              webSocket.send(chunk);
-            }
-          }
-        },
-        close() {
-          log(`UDP connection to ${targetAddress} closed`);
-        },
-        abort(reason) {
-          console.error(`UDP connection to ${targetPort} aborted due to ${reason}`);
-        },
-      })
-    );
-  } catch (e) {
-    console.error(`Error while handling UDP outbound, error ${e.message}`);
+    const frame = encodeUDPPacket(protocol, packet);
+    traffic.add(0, frame.byteLength);
+    webSocket.send(header ? await new Blob([header, frame]).arrayBuffer() : frame);
   }
-}
 
-function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
-  let readableStreamCancel = false;
-  const stream = new ReadableStream({
-    start(controller) {
-      webSocketServer.addEventListener("message", (event) => {
-        if (readableStreamCancel) {
-          return;
-        }
-        const message = event.data;
-        controller.enqueue(message);
+  function getRelayWriter() {
+    if (relayWriter) return relayWriter;
+    if (!env.UDP_RELAY) {
+      throw new Error("UDP relay is not configured, only DNS port 53 is supported");
+    }
+
+    const relay = parseUDPRelay(env.UDP_RELAY);
+    if (!relay) {
+      throw new Error("UDP_RELAY must be host:port or trojan://password@host:port");
+    }
+
+    relaySocket = connect(
+      { hostname: stripIPv6Brackets(relay.hostname), port: relay.port },
+      relay.password ? { secureTransport: "on" } : undefined
+    );
+    relayWriter = relaySocket.writable.getWriter();
+    if (relay.password) {
+      relayWriter.write(
+        concatBytes(
+          new TextEncoder().encode(`${sha224(relay.password)}\r\n`),
+          new Uint8Array([3, 1, 0, 0, 0, 0, 0, 0, 0x0d, 0x0a])
+        )
+      ).catch(() => {});
+    }
+    log.debug("udp.relay_connect", { relay: `${relay.hostname}:${relay.port}` });
+
+    const readRelayPackets = makeUDPPacketReader(atob(horse));
+    relaySocket.readable
+      .pipeTo(
+        new WritableStream({
+          async write(chunk) {
+            for (const packet of readRelayPackets(chunk)) {
+              await sendToClient(packet);
+            }
+          },
+          close() {
+            log.debug("udp.relay_close");
+            safeCloseWebSocket(webSocket);
+          },
+          abort(reason) {
+            log.warn("udp.relay_abort", { error: String(reason) });
+          },
+        })
+      )
+      .catch((error) => {
+        log.error("udp.relay_error", { error: error.message });
+        recordMetric("tunnel_errors_total", { type: "udp_relay" });
+        safeCloseWebSocket(webSocket);
       });
-      webSocketServer.addEventListener("close", () => {
-        safeCloseWebSocket(webSocketServer);
-        if (readableStreamCancel) {
-          return;
+
+    return relayWriter;
+  }
+
+  return {
+    async write(chunk) {
+      for (const packet of readClientPackets(chunk)) {
+        if (packet.portRemote === DNS_SERVER_PORT) {
+          recordMetric("tunnel_dns_queries_total");
+          queryDNS(packet.payload, env)
+            .then((answer) => sendToClient({ ...packet, payload: answer }))
+            .catch((error) => {
+              log.error("dns.error", { error: error.message });
+              recordMetric("tunnel_errors_total", { type: "dns" });
+            });
+        } else {
+          const reason = checkOutboundACL(getOutboundACL(env), packet.addressRemote, packet.portRemote);
+          if (reason) {
+            log.warn("acl.reject", { target: `${packet.addressRemote}:${packet.portRemote}`, reason: reason });
+            recordMetric("tunnel_errors_total", { type: "acl" });
+            continue;
+          }
+
+          await getRelayWriter().write(encodeUDPPacket(atob(horse), packet));
         }
-        controller.close();
-      });
-      webSocketServer.addEventListener("error", (err) => {
-        log("webSocketServer has error");
-        controller.error(err);
-      });
-      const { earlyData, error } = base64ToArrayBuffer(earlyDataHeader);
-      if (error) {
-        controller.error(error);
-      } else if (earlyData) {
-        controller.enqueue(earlyData);
       }
     },
-
-    pull(controller) {},
-    cancel(reason) {
-      if (readableStreamCancel) {
-        return;
+    close() {
+      if (relaySocket) {
+        relaySocket.close().catch(() => {});
       }
-      log(`ReadableStream was canceled, due to ${reason}`);
-      readableStreamCancel = true;
-      safeCloseWebSocket(webSocketServer);
     },
-  });
+  };
+}
 
-  return stream;
+function parseUDPRelay(value) {
+  if (value.startsWith(`${atob(horse)}://`)) {
+    try {
+      const url = new URL(value);
+      const port = parseInt(url.port || "443");
+      if (!url.hostname || !url.username) return null;
+      return {
+        hostname: url.hostname,
+        port: port,
+        password: decodeURIComponent(url.username),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const prx = parsePrxAddress(value);
+  return prx ? { hostname: prx.address, port: parseInt(prx.port), password: null } : null;
 }
 
-function readSsHeader(ssBuffer) {
-  const view = new DataView(ssBuffer);
+function makeUDPPacketReader(protocol, protocolHeader) {
+  let buffer = new Uint8Array(0);
+
+  return (chunk) => {
+    buffer = concatBytes(buffer, new Uint8Array(chunk));
+
+    const packets = [];
+    while (buffer.byteLength) {
+      let packet;
+      if (protocol === atob(horse)) {
+        packet = readHorseUDPPacket(buffer);
+      } else if (buffer.byteLength >= 2) {
+        const length = (buffer[0] << 8) | buffer[1];
+        if (buffer.byteLength >= 2 + length) {
+          packet = {
+            addressType: toSocksAddressType(protocol, protocolHeader.addressType),
+            addressRemote: protocolHeader.addressRemote,
+            portRemote: protocolHeader.portRemote,
+            payload: buffer.slice(2, 2 + length),
+            byteLength: 2 + length,
+          };
+        }
+      }
 
-  const addressType = view.getUint8(0);
-  let addressLength = 0;
-  let addressValueIndex = 1;
+      if (!packet) break;
+      packets.push(packet);
+      buffer = buffer.slice(packet.byteLength);
+    }
+
+    return packets;
+  };
+}
+
+function toSocksAddressType(protocol, addressType) {
+  // ATYP vless berbeda dengan SOCKS / trojan: 1 = IPv4, 2 = Domain, 3 = IPv6
+  if (protocol === atob(flash)) {
+    return { 1: 1, 2: 3, 3: 4 }[addressType];
+  }
+
+  return addressType;
+}
+
+function readHorseUDPPacket(bytes) {
+  const address = readSocksAddress(bytes, 0);
+  if (!address) return null;
+
+  const lengthIndex = address.byteLength + 2;
+  if (bytes.byteLength < lengthIndex + 4) return null;
+
+  const portRemote = (bytes[address.byteLength] << 8) | bytes[address.byteLength + 1];
+  const length = (bytes[lengthIndex] << 8) | bytes[lengthIndex + 1];
+  const payloadIndex = lengthIndex + 4; // Skip CRLF
+  if (bytes.byteLength < payloadIndex + length) return null;
+
+  return {
+    addressType: address.addressType,
+    addressRemote: address.addressValue,
+    portRemote: portRemote,
+    payload: bytes.slice(payloadIndex, payloadIndex + length),
+    byteLength: payloadIndex + length,
+  };
+}
+
+function encodeUDPPacket(protocol, packet) {
+  const length = new Uint8Array([packet.payload.byteLength >> 8, packet.payload.byteLength & 0xff]);
+  if (protocol !== atob(horse)) {
+    return concatBytes(length, packet.payload);
+  }
+
+  return concatBytes(
+    encodeSocksAddress(packet.addressType, packet.addressRemote),
+    new Uint8Array([packet.portRemote >> 8, packet.portRemote & 0xff]),
+    length,
+    new Uint8Array([0x0d, 0x0a]),
+    packet.payload
+  );
+}
+
+function readSocksAddress(bytes, offset) {
+  // ATYP: 1 = IPv4, 3 = Domain, 4 = IPv6
+  const addressType = bytes[offset];
   let addressValue = "";
+  let byteLength = 0;
 
   switch (addressType) {
     case 1:
-      addressLength = 4;
-      addressValue = new Uint8Array(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength)).join(".");
+      byteLength = 1 + 4;
+      if (bytes.byteLength < offset + byteLength) return null;
+      addressValue = bytes.slice(offset + 1, offset + byteLength).join(".");
       break;
     case 3:
-      addressLength = new Uint8Array(ssBuffer.slice(addressValueIndex, addressValueIndex + 1))[0];
-      addressValueIndex += 1;
-      addressValue = new TextDecoder().decode(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
+      byteLength = 2 + (bytes[offset + 1] ?? 0);
+      if (bytes.byteLength < offset + byteLength) return null;
+      addressValue = new TextDecoder().decode(bytes.slice(offset + 2, offset + byteLength));
       break;
     case 4:
-      addressLength = 16;
-      const dataView = new DataView(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
+      byteLength = 1 + 16;
+      if (bytes.byteLength < offset + byteLength) return null;
+      const dataView = new DataView(bytes.buffer, bytes.byteOffset + offset + 1, 16);
+      const ipv6 = [];
+      for (let i = 0; i < 8; i++) {
+        ipv6.push(dataView.getUint16(i * 2).toString(16));
+      }
+      addressValue = ipv6.join(":");
+      break;
+    default:
+      return null;
+  }
+
+  return { addressType, addressValue, byteLength };
+}
+
+function encodeSocksAddress(addressType, addressValue) {
+  switch (addressType) {
+    case 1:
+      return new Uint8Array([1, ...addressValue.split(".").map(Number)]);
+    case 4:
+      const groups = expandIPv6(addressValue);
+      return new Uint8Array([4, ...groups.flatMap((group) => [group >> 8, group & 0xff])]);
+    default:
+      const domain = new TextEncoder().encode(addressValue);
+      return new Uint8Array([3, domain.byteLength, ...domain]);
+  }
+}
+
+async function queryDNS(query, env) {
+  // Cache key tanpa 2 byte ID, ID dari query dipasang lagi saat cache hit
+  const cacheKey = env.DNS_CACHE === "true" ? arrayBufferToHex(query.slice(2)) : null;
+  const cached = cacheKey && dnsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    const answer = cached.answer.slice();
+    answer.set(query.slice(0, 2), 0);
+    return answer;
+  }
+
+  const res = await fetch(env.DOH_URL || DOH_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/dns-message",
+      Accept: "application/dns-message",
+    },
+    body: query,
+  });
+  if (res.status != 200) {
+    throw new Error(`DoH server responded with ${res.status}`);
+  }
+
+  const answer = new Uint8Array(await res.arrayBuffer());
+  if (cacheKey) {
+    const ttl = getDNSAnswerTTL(answer);
+    if (ttl > 0) {
+      if (dnsCache.size >= DNS_CACHE_MAX_ENTRIES) {
+        dnsCache.delete(dnsCache.keys().next().value);
+      }
+      dnsCache.set(cacheKey, { answer, expiresAt: Date.now() + ttl * 1000 });
+    }
+  }
+
+  return answer;
+}
+
+function getDNSAnswerTTL(message) {
+  // TTL terkecil dari answer section, 0 jika tidak ada answer
+  const answers = readDNSAnswers(message);
+  return answers.length ? Math.min(...answers.map((record) => record.ttl)) : 0;
+}
+
+function readDNSAnswers(message) {
+  // Format record: {type, ttl, data}, data berisi RDATA mentah
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+  const skipName = (offset) => {
+    while (offset < message.byteLength) {
+      const length = message[offset];
+      if (length === 0) return offset + 1;
+      if ((length & 0xc0) === 0xc0) return offset + 2;
+      offset += length + 1;
+    }
+    return offset;
+  };
+
+  const answers = [];
+  try {
+    const questionCount = view.getUint16(4);
+    const answerCount = view.getUint16(6);
+
+    let offset = 12;
+    for (let i = 0; i < questionCount; i++) {
+      offset = skipName(offset) + 4;
+    }
+
+    for (let i = 0; i < answerCount; i++) {
+      offset = skipName(offset);
+      const length = view.getUint16(offset + 8);
+      answers.push({
+        type: view.getUint16(offset),
+        ttl: view.getUint32(offset + 4),
+        data: message.slice(offset + 10, offset + 10 + length),
+      });
+      offset += 10 + length;
+    }
+  } catch (e) {
+    return [];
+  }
+
+  return answers;
+}
+
+function encodeDNSQuery(hostname, type) {
+  // Header: ID acak, flag RD, 1 question
+  const labels = hostname
+    .split(".")
+    .filter(Boolean)
+    .map((label) => new TextEncoder().encode(label));
+  const question = concatBytes(
+    ...labels.map((label) => concatBytes(new Uint8Array([label.byteLength]), label)),
+    new Uint8Array([0, type >> 8, type & 0xff, 0, 1])
+  );
+  const header = new Uint8Array(12);
+  crypto.getRandomValues(header.subarray(0, 2));
+  header.set([0x01, 0x00, 0, 1], 2);
+
+  return concatBytes(header, question);
+}
+
+function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
+  let readableStreamCancel = false;
+  const stream = new ReadableStream({
+    start(controller) {
+      webSocketServer.addEventListener("message", (event) => {
+        if (readableStreamCancel) {
+          return;
+        }
+        const message = event.data;
+        controller.enqueue(message);
+      });
+      webSocketServer.addEventListener("close", () => {
+        safeCloseWebSocket(webSocketServer);
+        if (readableStreamCancel) {
+          return;
+        }
+        controller.close();
+      });
+      webSocketServer.addEventListener("error", (err) => {
+        log.warn("websocket.error", { error: err?.message || null });
+        controller.error(err);
+      });
+      const { earlyData, error } = base64ToArrayBuffer(earlyDataHeader);
+      if (error) {
+        controller.error(error);
+      } else if (earlyData) {
+        controller.enqueue(earlyData);
+      }
+    },
+
+    pull(controller) {},
+    cancel(reason) {
+      if (readableStreamCancel) {
+        return;
+      }
+      log.debug("websocket.cancel", { reason: String(reason) });
+      readableStreamCancel = true;
+      safeCloseWebSocket(webSocketServer);
+    },
+  });
+
+  return stream;
+}
+
+function readSsHeader(ssBuffer, credentials) {
+  // SS tanpa enkripsi tidak membawa kredensial apapun
+  if (credentials?.enforced) {
+    return {
+      hasError: true,
+      isUnauthorized: true,
+      message: "ss carries no credential while an allow-list is configured",
+    };
+  }
+
+  const view = new DataView(ssBuffer);
+
+  const addressType = view.getUint8(0);
+  let addressLength = 0;
+  let addressValueIndex = 1;
+  let addressValue = "";
+
+  switch (addressType) {
+    case 1:
+      addressLength = 4;
+      addressValue = new Uint8Array(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength)).join(".");
+      break;
+    case 3:
+      addressLength = new Uint8Array(ssBuffer.slice(addressValueIndex, addressValueIndex + 1))[0];
+      addressValueIndex += 1;
+      addressValue = new TextDecoder().decode(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
+      break;
+    case 4:
+      addressLength = 16;
+      const dataView = new DataView(ssBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
       const ipv6 = [];
       for (let i = 0; i < 8; i++) {
         ipv6.push(dataView.getUint16(i * 2).toString(16));
@@ -775,10 +2970,26 @@ function readSsHeader(ssBuffer) {
   };
 }
 
-function readFlashHeader(buffer) {
+function readFlashHeader(buffer, credentials, user) {
   const version = new Uint8Array(buffer.slice(0, 1));
+  const userID = arrayBufferToHex(buffer.slice(1, 17));
   let isUDP = false;
 
+  if (credentials?.enforced && !credentials.flashIDs.has(userID) && !user) {
+    return {
+      hasError: true,
+      isUnauthorized: true,
+      message: `unknown user id ${formatUUID(userID)}`,
+    };
+  }
+  if (user?.protocols?.length && !user.protocols.includes(atob(flash))) {
+    return {
+      hasError: true,
+      isUnauthorized: true,
+      message: `${atob(flash)} is not allowed for user ${user.uuid}`,
+    };
+  }
+
   const optLength = new Uint8Array(buffer.slice(17, 18))[0];
 
   const cmd = new Uint8Array(buffer.slice(18 + optLength, 18 + optLength + 1))[0];
@@ -843,148 +3054,773 @@ function readFlashHeader(buffer) {
     rawClientData: buffer.slice(addressValueIndex + addressLength),
     version: new Uint8Array([version[0], 0]),
     isUDP: isUDP,
+    userID: formatUUID(userID),
+  };
+}
+
+function readHorseHeader(buffer, credentials, user) {
+  const passwordHash = new TextDecoder().decode(buffer.slice(0, 56)).toLowerCase();
+  if (credentials?.enforced && !credentials.horseHashes.has(passwordHash) && !user) {
+    return {
+      hasError: true,
+      isUnauthorized: true,
+      message: `unknown password hash ${passwordHash.slice(0, 8)}...`,
+    };
+  }
+  if (user?.protocols?.length && !user.protocols.includes(atob(horse))) {
+    return {
+      hasError: true,
+      isUnauthorized: true,
+      message: `${atob(horse)} is not allowed for user ${user.uuid}`,
+    };
+  }
+
+  const dataBuffer = buffer.slice(58);
+  if (dataBuffer.byteLength < 6) {
+    return {
+      hasError: true,
+      message: "invalid request data",
+    };
+  }
+
+  let isUDP = false;
+  const view = new DataView(dataBuffer);
+  const cmd = view.getUint8(0);
+  if (cmd == 3) {
+    isUDP = true;
+  } else if (cmd != 1) {
+    throw new Error("Unsupported command type!");
+  }
+
+  let addressType = view.getUint8(1);
+  let addressLength = 0;
+  let addressValueIndex = 2;
+  let addressValue = "";
+  switch (addressType) {
+    case 1: // For IPv4
+      addressLength = 4;
+      addressValue = new Uint8Array(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength)).join(".");
+      break;
+    case 3: // For Domain
+      addressLength = new Uint8Array(dataBuffer.slice(addressValueIndex, addressValueIndex + 1))[0];
+      addressValueIndex += 1;
+      addressValue = new TextDecoder().decode(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
+      break;
+    case 4: // For IPv6
+      addressLength = 16;
+      const dataView = new DataView(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
+      const ipv6 = [];
+      for (let i = 0; i < 8; i++) {
+        ipv6.push(dataView.getUint16(i * 2).toString(16));
+      }
+      addressValue = ipv6.join(":");
+      break;
+    default:
+      return {
+        hasError: true,
+        message: `invalid addressType is ${addressType}`,
+      };
+  }
+
+  if (!addressValue) {
+    return {
+      hasError: true,
+      message: `address is empty, addressType is ${addressType}`,
+    };
+  }
+
+  const portIndex = addressValueIndex + addressLength;
+  const portBuffer = dataBuffer.slice(portIndex, portIndex + 2);
+  const portRemote = new DataView(portBuffer).getUint16(0);
+  return {
+    hasError: false,
+    addressRemote: addressValue,
+    addressType: addressType,
+    portRemote: portRemote,
+    rawDataIndex: portIndex + 4,
+    rawClientData: dataBuffer.slice(portIndex + 4),
+    version: null,
+    isUDP: isUDP,
+    userID: user?.uuid || passwordHash,
+  };
+}
+
+async function remoteSocketToWS(remoteSocket, webSocket, responseHeader, retry, traffic, log) {
+  let header = responseHeader;
+  let hasIncomingData = false;
+  await remoteSocket.readable
+    .pipeTo(
+      new WritableStream({
+        start() {},
+        async write(chunk, controller) {
+          hasIncomingData = true;
+          if (webSocket.readyState !== WS_READY_STATE_OPEN) {
+            controller.error("webSocket.readyState is not open, maybe close");
+          }
+          traffic.add(0, chunk.byteLength);
+          if (header) {
+            webSocket.send(await new Blob([header, chunk]).arrayBuffer());
+            header = null;
+          } else {
+            webSocket.send(chunk);
+          }
+        },
+        close() {
+          log.debug("remote.close", { hasIncomingData: hasIncomingData });
+        },
+        abort(reason) {
+          log.warn("remote.abort", { error: String(reason) });
+        },
+      })
+    )
+    .catch((error) => {
+      log.error("remote.error", { error: error?.message || String(error) });
+      recordMetric("tunnel_errors_total", { type: "remote" });
+      safeCloseWebSocket(webSocket);
+    });
+  if (hasIncomingData === false && retry) {
+    log.debug("tcp.retry");
+    retry();
+  } else {
+    // Remote selesai setelah mengirim data (atau tidak ada cadangan lagi), websocket ikut ditutup
+    log.closeReason ||= "remote_closed";
+    safeCloseWebSocket(webSocket);
+  }
+}
+
+function safeCloseWebSocket(socket) {
+  try {
+    if (socket.readyState === WS_READY_STATE_OPEN || socket.readyState === WS_READY_STATE_CLOSING) {
+      socket.close();
+    }
+  } catch (error) {
+    console.error("safeCloseWebSocket error", error);
+  }
+}
+
+async function checkPrxHealth(prxIP, prxPort, useTLS = false) {
+  /**
+   * Response:
+   *
+   * {"target": "1.1.1.1:443", "prxIP": "1.1.1.1", "prxPort": 443, "status": "ACTIVE" | "DEAD",
+   *  "delay": "120 ms", "latency": 120, "tls": false, "colo": "SIN", "checkedAt": "...", "message": null}
+   */
+  const result = {
+    target: `${prxIP}:${prxPort}`,
+    prxIP: prxIP,
+    prxPort: parseInt(prxPort),
+    status: "DEAD",
+    delay: null,
+    latency: null,
+    tls: useTLS,
+    colo: null,
+    checkedAt: new Date().toISOString(),
+    message: null,
+  };
+
+  const startedAt = Date.now();
+  let tcpSocket;
+  try {
+    tcpSocket = connect(
+      {
+        hostname: stripIPv6Brackets(prxIP),
+        port: parseInt(prxPort),
+      },
+      { secureTransport: useTLS ? "on" : "off" }
+    );
+    await withTimeout(tcpSocket.opened, PRX_HEALTH_CHECK_TIMEOUT);
+
+    result.latency = Date.now() - startedAt;
+    result.delay = `${result.latency} ms`;
+    result.status = "ACTIVE";
+  } catch (e) {
+    result.message = e.message;
+  } finally {
+    tcpSocket?.close().catch(() => {});
+  }
+
+  return result;
+}
+
+// Helpers
+function base64ToArrayBuffer(base64Str) {
+  if (!base64Str) {
+    return { error: null };
+  }
+  try {
+    base64Str = base64Str.replace(/-/g, "+").replace(/_/g, "/");
+    const decode = atob(base64Str);
+    const arryBuffer = Uint8Array.from(decode, (c) => c.charCodeAt(0));
+    return { earlyData: arryBuffer.buffer, error: null };
+  } catch (error) {
+    return { error };
+  }
+}
+
+function arrayBufferToHex(buffer) {
+  return [...new Uint8Array(buffer)].map((x) => x.toString(16).padStart(2, "0")).join("");
+}
+
+function getAppDomain(env) {
+  return `${env.SERVICE_NAME}.${env.ROOT_DOMAIN}`;
+}
+
+function getMissingBindings(env, bindings) {
+  return bindings.filter((binding) => !env[binding]);
+}
+
+function getOutboundACL(env) {
+  /**
+   * Format ACL_DENY / ACL_ALLOW:
+   *
+   * CIDR / IP : 10.0.0.0/8, 2001:db8::/32, 1.1.1.1
+   * Domain    : example.com, termasuk semua subdomain
+   * Port      : :25 atau :6000-7000
+   *
+   * Deny selalu menang. Jika ACL_ALLOW berisi host, tujuan harus cocok salah satunya, begitu juga untuk port.
+   */
+  const cacheKey = [env.ACL_DENY, env.ACL_ALLOW, env.ACL_DEFAULTS, env.ROOT_DOMAIN].join("|");
+  if (cachedACL?.key == cacheKey) return cachedACL.acl;
+
+  // Domain worker sendiri diblokir agar koneksi tidak berputar kembali ke worker ini
+  const defaultDeny = env.ACL_DEFAULTS == "false" ? [] : [...ACL_DEFAULT_DENY, env.ROOT_DOMAIN].filter(Boolean);
+  const acl = {
+    deny: parseACLRules([...defaultDeny, ...splitList(env.ACL_DENY)]),
+    allow: parseACLRules(splitList(env.ACL_ALLOW)),
+  };
+  cachedACL = { key: cacheKey, acl: acl };
+
+  return acl;
+}
+
+function parseACLRules(entries) {
+  const rules = { hosts: [], ports: [] };
+  for (const entry of entries) {
+    const portMatch = entry.match(/^:(\d+)(?:-(\d+))?$/);
+    if (portMatch) {
+      rules.ports.push({ rule: entry, from: parseInt(portMatch[1]), to: parseInt(portMatch[2] || portMatch[1]) });
+      continue;
+    }
+
+    const [address, prefix] = entry.split("/");
+    const bytes = parseIPBytes(address);
+    if (bytes) {
+      rules.hosts.push({ rule: entry, bytes: bytes, prefix: prefix === undefined ? bytes.length * 8 : parseInt(prefix) });
+    } else {
+      rules.hosts.push({ rule: entry, domain: entry.toLowerCase().replace(/^\*?\./, "") });
+    }
+  }
+
+  return rules;
+}
+
+function matchACLHost(rules, address, bytes) {
+  return rules.hosts.find((rule) => {
+    if (rule.domain) return address == rule.domain || address.endsWith(`.${rule.domain}`);
+    return bytes?.length == rule.bytes.length && matchIPPrefix(bytes, rule.bytes, rule.prefix);
+  });
+}
+
+function checkOutboundACL(acl, address, port, denyOnly = false) {
+  // Mengembalikan alasan penolakan, atau null jika tujuan diizinkan
+  address = normalizeAddress(address);
+  port = parseInt(port);
+  const bytes = parseIPBytes(address);
+  const matchPort = (rule) => port >= rule.from && port <= rule.to;
+
+  // Label terakhir berupa angka berarti IPv4 (lihat canonicalizeIPv4), yang tidak valid ditolak
+  if (!bytes && !address.includes(":") && NUMERIC_LABEL.test(address.split(".").at(-1))) return "invalid numeric address";
+
+  const denied = matchACLHost(acl.deny, address, bytes) || acl.deny.ports.find(matchPort);
+  if (denied) return `denied by ${denied.rule}`;
+  if (denyOnly) return null;
+
+  if (acl.allow.hosts.length && !matchACLHost(acl.allow, address, bytes)) return "host is not in allow list";
+  if (acl.allow.ports.length && !acl.allow.ports.find(matchPort)) return "port is not in allow list";
+  return null;
+}
+
+async function checkResolvedACL(env, acl, address, port, log) {
+  // Seperti checkOutboundACL, ditambah domain di-resolve agar rule CIDR juga berlaku untuk hostname
+  // yang mengarah ke IP privat
+  const reason = checkOutboundACL(acl, address, port);
+  address = normalizeAddress(address);
+  if (reason || env.ACL_RESOLVE == "false" || parseIPBytes(address) || !acl.deny.hosts.some((rule) => rule.bytes)) {
+    return reason;
+  }
+
+  try {
+    for (const bytes of await resolveHost(env, address)) {
+      const denied = matchACLHost(acl.deny, address, bytes);
+      if (denied) return `resolves to denied ${denied.rule}`;
+    }
+  } catch (error) {
+    // Gagal resolve tidak memblokir koneksi, rule domain dan IP literal tetap berlaku
+    log.debug("acl.resolve_error", { address: address, error: error.message });
+  }
+
+  return null;
+}
+
+function getRouteRules(env) {
+  /**
+   * Format ROUTE_RULES, dicek berurutan dan aturan pertama yang cocok dipakai:
+   *
+   * DOMAIN-SUFFIX,netflix.com,COUNTRY:SG|JP
+   * DOMAIN-KEYWORD,openai,PROXY:1.1.1.1:443
+   * IP-CIDR,104.16.0.0/13,PROXY
+   * DST-PORT,6881-6889,BLOCK
+   * MATCH,DIRECT
+   *
+   * Aksi: DIRECT (tanpa proxy), PROXY (langsung ke proxy koneksi ini), PROXY:<ip:port>, COUNTRY:<CC|CC> atau BLOCK.
+   * Tujuan yang tidak cocok aturan apa pun tetap dicoba langsung dulu lalu ke proxy.
+   */
+  const cacheKey = env.ROUTE_RULES || "";
+  if (cachedRouteRules?.key == cacheKey) return cachedRouteRules.rules;
+
+  const rules = [];
+  for (const line of cacheKey.split(/[\n;]/).map((line) => line.trim())) {
+    if (!line || line.startsWith("#")) continue;
+
+    const rule = parseRouteRule(line);
+    if (rule) {
+      rules.push(rule);
+    } else {
+      createLogger(env).warn("route.invalid_rule", { rule: line });
+    }
+  }
+  cachedRouteRules = { key: cacheKey, rules: rules };
+
+  return rules;
+}
+
+function parseRouteRule(line) {
+  const parts = line.split(",").map((part) => part.trim());
+  const type = parts[0].toUpperCase();
+  const [value, action] = type == "MATCH" ? [null, parts[1]] : [parts[1], parts[2]];
+  if (!ROUTE_RULE_TYPES.includes(type) || (type != "MATCH" && !value) || !action) return null;
+
+  const separator = action.indexOf(":");
+  const rule = {
+    rule: line,
+    type: type,
+    action: (separator < 0 ? action : action.slice(0, separator)).toUpperCase(),
+  };
+  const target = separator < 0 ? null : action.slice(separator + 1);
+
+  if (rule.action == "PROXY" && target) {
+    if (!parsePrxAddress(target)) return null;
+    rule.prx = target;
+  } else if (rule.action == "COUNTRY") {
+    rule.countries = splitList(target?.replaceAll("|", ",")).map((country) => country.toUpperCase());
+    if (!rule.countries.length) return null;
+  } else if (!["DIRECT", "PROXY", "BLOCK"].includes(rule.action) || target) {
+    return null;
+  }
+
+  if (type == "IP-CIDR") {
+    const [address, prefix] = value.split("/");
+    rule.bytes = parseIPBytes(address);
+    rule.prefix = prefix === undefined ? rule.bytes?.length * 8 : parseInt(prefix);
+    if (!rule.bytes || !(rule.prefix >= 0 && rule.prefix <= rule.bytes.length * 8)) return null;
+  } else if (type == "DST-PORT") {
+    const portMatch = value.match(/^(\d+)(?:-(\d+))?$/);
+    if (!portMatch) return null;
+    rule.from = parseInt(portMatch[1]);
+    rule.to = parseInt(portMatch[2] || portMatch[1]);
+  } else if (value) {
+    rule.domain = value.toLowerCase().replace(/^\*?\./, "");
+  }
+
+  return rule;
+}
+
+function matchRouteRule(rules, address, port) {
+  address = normalizeAddress(address);
+  port = parseInt(port);
+  const bytes = parseIPBytes(address);
+
+  return (
+    rules.find((rule) => {
+      switch (rule.type) {
+        case "DOMAIN":
+          return !bytes && address == rule.domain;
+        case "DOMAIN-SUFFIX":
+          return !bytes && (address == rule.domain || address.endsWith(`.${rule.domain}`));
+        case "DOMAIN-KEYWORD":
+          return !bytes && address.includes(rule.domain);
+        case "IP-CIDR":
+          return bytes?.length == rule.bytes.length && matchIPPrefix(bytes, rule.bytes, rule.prefix);
+        case "DST-PORT":
+          return port >= rule.from && port <= rule.to;
+        default:
+          return true;
+      }
+    }) || null
+  );
+}
+
+async function getCountryPrxChain(env, countries) {
+  // Route negara dari ROUTE_RULES memakai PRX_STRATEGY yang sama dengan route /ID, /SG
+  const kvPrx = await getKVPrxList(env);
+  countries = [...new Set(countries)].sort();
+  const strategy = PRX_STRATEGIES.includes(env.PRX_STRATEGY) ? env.PRX_STRATEGY : "random";
+  const prxHealth = strategy == "health" || strategy == "latency" ? await getPrxHealth(env) : null;
+  const prxs = selectPrxs(
+    countries.flatMap((country) => kvPrx[country] || []),
+    strategy,
+    prxHealth,
+    countries.join(",")
+  );
+
+  return prxs.slice(0, PRX_MAX_FALLBACKS + 1);
+}
+
+async function isCloudflareHost(env, address, log) {
+  // CF_DETECT=ip hanya mengecek IP literal, mode dns (default) juga me-resolve domain lewat DoH
+  const mode = env.CF_DETECT || "dns";
+  if (mode == "false") return false;
+
+  cloudflareRanges ||= parseACLRules(CF_IP_RANGES);
+  address = normalizeAddress(address);
+  const bytes = parseIPBytes(address);
+  if (bytes) return Boolean(matchACLHost(cloudflareRanges, address, bytes));
+  if (mode != "dns") return false;
+
+  let isCloudflare;
+  try {
+    // Cukup satu alamat di jaringan Cloudflare
+    const addresses = await resolveHost(env, address);
+    isCloudflare = addresses.some((resolved) => matchACLHost(cloudflareRanges, address, resolved));
+  } catch (error) {
+    // Koneksi tetap dicoba langsung seperti biasa
+    log.debug("cf_check.error", { address: address, error: error.message });
+    return false;
+  }
+  log.debug("cf_check", { address: address, isCloudflare: isCloudflare });
+
+  return isCloudflare;
+}
+
+async function resolveHost(env, hostname) {
+  // Alamat A dan AAAA (dalam bentuk byte) lewat DoH, gagal resolve dilempar ke pemanggil dan tidak di-cache
+  const cached = resolvedHosts.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+
+  const answers = await withTimeout(
+    Promise.all([DNS_TYPE_A, DNS_TYPE_AAAA].map((type) => queryDNS(encodeDNSQuery(hostname, type), env))),
+    RESOLVE_TIMEOUT
+  );
+  const addresses = answers
+    .flatMap((answer) => readDNSAnswers(answer))
+    .filter((record) => (record.type == DNS_TYPE_A ? 4 : record.type == DNS_TYPE_AAAA ? 16 : -1) == record.data.length)
+    .map((record) => {
+      const bytes = [...record.data];
+      // IPv4-mapped IPv6 dianggap IPv4, sama seperti parseIPBytes
+      const isMapped = bytes.length == 16 && bytes.slice(0, 10).every((byte) => byte == 0) && bytes[10] == 0xff && bytes[11] == 0xff;
+      return isMapped ? bytes.slice(12) : bytes;
+    });
+
+  if (resolvedHosts.size >= RESOLVE_MAX_ENTRIES) {
+    resolvedHosts.delete(resolvedHosts.keys().next().value);
+  }
+  resolvedHosts.set(hostname, { addresses: addresses, expiresAt: Date.now() + RESOLVE_CACHE_TTL });
+
+  return addresses;
+}
+
+function recordMetric(name, labels = {}, value = 1) {
+  // Dikumpulkan per isolate lalu dikirim ke Durable Object secara berkala lewat flushMetrics
+  const labelKey = Object.entries(labels)
+    .map(([key, label]) => `${key}="${String(label).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`)
+    .join(",");
+  const series = (pendingMetrics[name] ||= {});
+  series[labelKey] = { labels: labels, value: (series[labelKey]?.value || 0) + value };
+}
+
+function flushMetrics(env, ctx = null, force = false) {
+  if (!force && Date.now() - metricsFlushedAt < METRICS_FLUSH_INTERVAL) return null;
+
+  const deltas = pendingMetrics;
+  pendingMetrics = {};
+  metricsFlushedAt = Date.now();
+  if (!env.METRICS || !Object.keys(deltas).length) return null;
+
+  const request = getMetricsStub(env)
+    .fetch("https://metrics/add", { method: "POST", body: JSON.stringify(deltas) })
+    .catch((error) => createLogger(env).error("metrics.flush_failed", { error: error.message }));
+  ctx?.waitUntil(request);
+
+  return request;
+}
+
+function flushGauge(env, ctx, name, value) {
+  // Gauge berupa delta +1 / -1 langsung dikirim, delta yang tertahan di isolate hilang saat isolate dievict
+  // dan nilainya di Durable Object melenceng selamanya. Jika gagal, delta dicoba lagi lewat flushMetrics.
+  if (!env.METRICS) return null;
+
+  const deltas = { [name]: { "": { labels: {}, value: value } } };
+  const request = getMetricsStub(env)
+    .fetch("https://metrics/add", { method: "POST", body: JSON.stringify(deltas) })
+    .then((res) => {
+      if (!res.ok) throw new Error(`Metrics responded with ${res.status}`);
+    })
+    .catch((error) => {
+      recordMetric(name, {}, value);
+      createLogger(env).error("metrics.flush_failed", { error: error.message });
+    });
+  ctx?.waitUntil(request);
+
+  return request;
+}
+
+function getMetricsStub(env) {
+  return env.METRICS.get(env.METRICS.idFromName("global"));
+}
+
+function mergeMetrics(metrics, deltas) {
+  for (const [name, series] of Object.entries(deltas)) {
+    const target = (metrics[name] ||= {});
+    for (const [labelKey, { labels, value }] of Object.entries(series)) {
+      target[labelKey] = { labels: labels, value: (target[labelKey]?.value || 0) + value };
+    }
+  }
+
+  return metrics;
+}
+
+function renderPrometheusMetrics(metrics) {
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+
+    const series = Object.entries(metrics[name] || {});
+    if (!series.length) lines.push(`${name} 0`);
+    for (const [labelKey, { value }] of series) {
+      lines.push(`${name}${labelKey ? `{${labelKey}}` : ""} ${value}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function createLogger(env, ctx = null, fields = {}) {
+  /**
+   * Event log berbentuk JSON:
+   *
+   * {"ts": "...", "level": "info", "event": "connection.close", "connID": "...", "protocol": "vless", "user": "...",
+   *  "destination": "example.com:443", "bytesUp": 0, "bytesDown": 0, "durationMs": 0, "reason": "client_closed"}
+   *
+   * fields bisa diubah setelah logger dibuat, nilainya ikut di setiap event berikutnya.
+   */
+  const minLevel = LOG_LEVELS[env.LOG_LEVEL] ?? LOG_LEVELS.info;
+  const sink = env.LOG_SINK || "console";
+  const buffer = [];
+
+  const logger = {
+    fields: fields,
+    emit(level, event, data = {}) {
+      if (LOG_LEVELS[level] < minLevel) return;
+
+      const record = { ts: new Date().toISOString(), level: level, event: event, ...logger.fields, ...data };
+      if (sink == "http" && env.LOG_HTTP_URL) {
+        buffer.push(record);
+        // Tanpa ctx tidak ada waitUntil, jadi langsung dikirim
+        if (!ctx || buffer.length >= LOG_HTTP_BATCH_SIZE) logger.flush();
+      } else if (sink == "logpush") {
+        console.log(JSON.stringify(record));
+      } else {
+        console[level == "debug" ? "log" : level](record);
+      }
+    },
+    debug: (event, data) => logger.emit("debug", event, data),
+    info: (event, data) => logger.emit("info", event, data),
+    warn: (event, data) => logger.emit("warn", event, data),
+    error: (event, data) => logger.emit("error", event, data),
+    flush() {
+      if (!buffer.length) return;
+
+      const request = fetch(env.LOG_HTTP_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-ndjson",
+          ...(env.LOG_HTTP_TOKEN ? { Authorization: `Bearer ${env.LOG_HTTP_TOKEN}` } : {}),
+        },
+        body: buffer.splice(0).map((record) => JSON.stringify(record)).join("\n"),
+      }).catch((error) => console.error(`Error while sending logs, error ${error.message}`));
+      ctx?.waitUntil(request);
+    },
   };
+
+  return logger;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function readHorseHeader(buffer) {
-  const dataBuffer = buffer.slice(58);
-  if (dataBuffer.byteLength < 6) {
-    return {
-      hasError: true,
-      message: "invalid request data",
-    };
-  }
+function withTimeout(promise, ms) {
+  let timeoutID;
+  const timeout = new Promise((_, reject) => {
+    timeoutID = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
 
-  let isUDP = false;
-  const view = new DataView(dataBuffer);
-  const cmd = view.getUint8(0);
-  if (cmd == 3) {
-    isUDP = true;
-  } else if (cmd != 1) {
-    throw new Error("Unsupported command type!");
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutID));
+}
+
+function concatBytes(...chunks) {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.byteLength, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
   }
+  return result;
+}
 
-  let addressType = view.getUint8(1);
-  let addressLength = 0;
-  let addressValueIndex = 2;
-  let addressValue = "";
-  switch (addressType) {
-    case 1: // For IPv4
-      addressLength = 4;
-      addressValue = new Uint8Array(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength)).join(".");
-      break;
-    case 3: // For Domain
-      addressLength = new Uint8Array(dataBuffer.slice(addressValueIndex, addressValueIndex + 1))[0];
-      addressValueIndex += 1;
-      addressValue = new TextDecoder().decode(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
-      break;
-    case 4: // For IPv6
-      addressLength = 16;
-      const dataView = new DataView(dataBuffer.slice(addressValueIndex, addressValueIndex + addressLength));
-      const ipv6 = [];
-      for (let i = 0; i < 8; i++) {
-        ipv6.push(dataView.getUint16(i * 2).toString(16));
-      }
-      addressValue = ipv6.join(":");
-      break;
-    default:
-      return {
-        hasError: true,
-        message: `invalid addressType is ${addressType}`,
-      };
+function expandIPv6(address) {
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missingGroups = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill("0");
+  return [...headGroups, ...missingGroups, ...tailGroups].map((group) => parseInt(group, 16) || 0);
+}
+
+function parseIPBytes(address) {
+  // IPv4 -> 4 byte, IPv6 -> 16 byte, IPv4-mapped IPv6 dianggap IPv4, selain IP -> null
+  address = stripIPv6Brackets(address);
+  if (isValidIPv4(address)) {
+    return address.split(".").map((octet) => parseInt(octet));
+  }
+  if (!address.includes(":") || !isValidIPv6(`[${address.replace(/:(\d+\.){3}\d+$/, ":0:0")}]`)) {
+    return null;
   }
 
-  if (!addressValue) {
-    return {
-      hasError: true,
-      message: `address is empty, addressType is ${addressType}`,
-    };
+  const embeddedIPv4 = address.match(/:((\d+\.){3}\d+)$/)?.[1];
+  const groups = expandIPv6(embeddedIPv4 ? address.replace(embeddedIPv4, "0:0") : address);
+  const bytes = groups.flatMap((group) => [group >> 8, group & 0xff]);
+  if (embeddedIPv4) {
+    bytes.splice(12, 4, ...embeddedIPv4.split(".").map((octet) => parseInt(octet)));
+  }
+  if (bytes.slice(0, 10).every((byte) => byte == 0) && bytes[10] == 0xff && bytes[11] == 0xff) {
+    return bytes.slice(12);
   }
 
-  const portIndex = addressValueIndex + addressLength;
-  const portBuffer = dataBuffer.slice(portIndex, portIndex + 2);
-  const portRemote = new DataView(portBuffer).getUint16(0);
-  return {
-    hasError: false,
-    addressRemote: addressValue,
-    addressType: addressType,
-    portRemote: portRemote,
-    rawDataIndex: portIndex + 4,
-    rawClientData: dataBuffer.slice(portIndex + 4),
-    version: null,
-    isUDP: isUDP,
-  };
+  return bytes;
 }
 
-async function remoteSocketToWS(remoteSocket, webSocket, responseHeader, retry, log) {
-  let header = responseHeader;
-  let hasIncomingData = false;
-  await remoteSocket.readable
-    .pipeTo(
-      new WritableStream({
-        start() {},
-        async write(chunk, controller) {
-          hasIncomingData = true;
-          if (webSocket.readyState !== WS_READY_STATE_OPEN) {
-            controller.error("webSocket.readyState is not open, maybe close");
-          }
-          if (header) {
-            webSocket.send(await new Blob([header, chunk]).arrayBuffer());
-            header = null;
-          } else {
-            webSocket.send(chunk);
-          }
-        },
-        close() {
-          log(`remoteConnection!.readable is close with hasIncomingData is ${hasIncomingData}`);
-        },
-        abort(reason) {
-          console.error(`remoteConnection!.readable abort`, reason);
-        },
-      })
-    )
-    .catch((error) => {
-      console.error(`remoteSocketToWS has exception `, error.stack || error);
-      safeCloseWebSocket(webSocket);
-    });
-  if (hasIncomingData === false && retry) {
-    log(`retry`);
-    retry();
+function matchIPPrefix(bytes, network, prefix) {
+  for (let i = 0; i < bytes.length && prefix > 0; i++, prefix -= 8) {
+    const mask = prefix >= 8 ? 0xff : (0xff << (8 - prefix)) & 0xff;
+    if ((bytes[i] & mask) != (network[i] & mask)) return false;
   }
+  return true;
 }
 
-function safeCloseWebSocket(socket) {
-  try {
-    if (socket.readyState === WS_READY_STATE_OPEN || socket.readyState === WS_READY_STATE_CLOSING) {
-      socket.close();
-    }
-  } catch (error) {
-    console.error("safeCloseWebSocket error", error);
+function formatUUID(hex) {
+  return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5");
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length != b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
   }
+  return diff == 0;
 }
 
-async function checkPrxHealth(prxIP, prxPort) {
-  const req = await fetch(`${PRX_HEALTH_CHECK_API}?ip=${prxIP}:${prxPort}`);
-  return await req.json();
+function normalizeAddress(address) {
+  return canonicalizeIPv4(stripIPv6Brackets(String(address).toLowerCase()).replace(/\.$/, ""));
 }
 
-// Helpers
-function base64ToArrayBuffer(base64Str) {
-  if (!base64Str) {
-    return { error: null };
-  }
-  try {
-    base64Str = base64Str.replace(/-/g, "+").replace(/_/g, "/");
-    const decode = atob(base64Str);
-    const arryBuffer = Uint8Array.from(decode, (c) => c.charCodeAt(0));
-    return { earlyData: arryBuffer.buffer, error: null };
-  } catch (error) {
-    return { error };
+function canonicalizeIPv4(address) {
+  // Bentuk angka yang diterima resolver / parser URL: 127.1, 2130706433, 0x7f.0.0.1, 0177.0.0.1 -> 127.0.0.1
+  const parts = address.split(".");
+  if (address.includes(":") || parts.length > 4 || !parts.every((part) => NUMERIC_LABEL.test(part))) return address;
+
+  const values = parts.map((part) => {
+    if (part.startsWith("0x")) return parseInt(part.slice(2) || "0", 16);
+    if (part.length > 1 && part.startsWith("0")) return /^[0-7]+$/.test(part) ? parseInt(part, 8) : NaN;
+    return parseInt(part, 10);
+  });
+  const last = values.pop();
+  if (values.some((value) => !(value <= 255)) || !(last < 256 ** (4 - values.length))) return address;
+
+  const octets = [...values];
+  for (let i = 3 - values.length; i >= 0; i--) {
+    octets.push(Math.floor(last / 256 ** i) % 256);
   }
+
+  return octets.join(".");
 }
 
-function arrayBufferToHex(buffer) {
-  return [...new Uint8Array(buffer)].map((x) => x.toString(16).padStart(2, "0")).join("");
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function sha224(message) {
+  // Web Crypto tidak menyediakan SHA-224, jadi dihitung manual (SHA-256 dengan IV berbeda)
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98,
+    0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8,
+    0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819,
+    0xd6990624, 0xf40e3585, 0x106aa070, 0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7,
+    0xc67178f2,
+  ];
+  const H = [0xc1059ed8, 0x367cd507, 0x3070dd17, 0xf70e5939, 0xffc00b31, 0x68581511, 0x64f98fa7, 0xbefa4fa4];
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  const bytes = new TextEncoder().encode(message);
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      H[i] = (H[i] + value) >>> 0;
+    });
+  }
+
+  return H.slice(0, 7)
+    .map((x) => x.toString(16).padStart(8, "0"))
+    .join("");
 }
 
 function shuffleArray(array) {
@@ -1005,7 +3841,103 @@ function reverse(s) {
   return s.split("").reverse().join("");
 }
 
+function getCountryFromFlag(text) {
+  const flag = text.match(/[\u{1F1E6}-\u{1F1FF}]{2}/u)?.[0];
+  return flag ? [...flag].map((char) => String.fromCharCode(char.codePointAt(0) - 127397)).join("") : null;
+}
+
+function normalizeLabel(label) {
+  // Punycode dan leetspeak diubah ke huruf latin biasa sebelum dicocokkan
+  const decoded = label.toLowerCase().startsWith("xn--") ? decodePunycode(label.toLowerCase().slice(4)) : label;
+  return [...decoded.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()]
+    .map((char) => LEET_CHARS[char] || char)
+    .join("")
+    .replace(/[^a-z-]/g, "");
+}
+
+function decodePunycode(input) {
+  // RFC 3492
+  const base = 36;
+  const tMin = 1;
+  const tMax = 26;
+  const delimiter = input.lastIndexOf("-");
+  const output = delimiter > 0 ? [...input.slice(0, delimiter)].map((char) => char.codePointAt(0)) : [];
+
+  let n = 128;
+  let i = 0;
+  let bias = 72;
+  for (let index = delimiter > 0 ? delimiter + 1 : 0; index < input.length; ) {
+    const oldI = i;
+    for (let w = 1, k = base; ; k += base) {
+      if (index >= input.length) return input;
+
+      const code = input.charCodeAt(index++);
+      const digit = code >= 48 && code <= 57 ? code - 22 : code >= 97 && code <= 122 ? code - 97 : base;
+      if (digit >= base) return input;
+
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+
+    const length = output.length + 1;
+    let delta = oldI == 0 ? Math.floor((i - oldI) / 700) : Math.floor((i - oldI) / 2);
+    delta += Math.floor(delta / length);
+    let k = 0;
+    for (; delta > ((base - tMin) * tMax) / 2; k += base) {
+      delta = Math.floor(delta / (base - tMin));
+    }
+    bias = k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+function parsePrxAddress(value) {
+  // Contoh: 1.1.1.1:443, 1.1.1.1-443, [2001:db8::1]:443, host-name.com=443
+  const match = value.match(/^(\[[0-9a-fA-F:.]+\]|[^:=\[\]]+?)[:=-](\d+)$/);
+  return match ? { address: match[1], port: match[2] } : null;
+}
+
+function stripIPv6Brackets(address) {
+  // Daftar proxy menulis IPv6 sebagai [2001:db8::1], connect() dan pengecekan IP butuh alamat tanpa kurung
+  return address.replace(/^\[|\]$/g, "");
+}
+
+function isValidIPv4(address) {
+  const octets = address.split(".");
+  return octets.length == 4 && octets.every((octet) => /^\d{1,3}$/.test(octet) && parseInt(octet) <= 255);
+}
+
+function isValidIPv6(address) {
+  const match = address.match(/^\[([0-9a-f:]+)\]$/i);
+  if (!match) return false;
+
+  const [head, tail, ...rest] = match[1].split("::");
+  if (rest.length) return false;
+
+  const groups = [...(head ? head.split(":") : []), ...(tail ? tail.split(":") : [])];
+  return (
+    groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group)) &&
+    (tail === undefined ? groups.length == 8 : groups.length < 8)
+  );
+}
+
+function isValidHostname(hostname) {
+  return (
+    hostname.length <= 253 &&
+    /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/i.test(hostname)
+  );
+}
+
 function getFlagEmoji(isoCode) {
+  if (!/^[a-z]{2}$/i.test(isoCode || "")) return "\u{1F3F3}";
+
   const codePoints = isoCode
     .toUpperCase()
     .split("")
@@ -1015,12 +3947,16 @@ function getFlagEmoji(isoCode) {
 
 // CloudflareApi Class
 class CloudflareApi {
-  constructor() {
-    this.bearer = `Bearer ${apiKey}`;
-    this.accountID = accountID;
-    this.zoneID = zoneID;
-    this.apiEmail = apiEmail;
-    this.apiKey = apiKey;
+  constructor(env) {
+    this.bearer = `Bearer ${env.CF_API_KEY}`;
+    this.accountID = env.CF_ACCOUNT_ID;
+    this.zoneID = env.CF_ZONE_ID;
+    this.apiEmail = env.CF_API_EMAIL;
+    this.apiKey = env.CF_API_KEY;
+    this.rootDomain = env.ROOT_DOMAIN;
+    this.serviceName = env.SERVICE_NAME;
+    this.appDomain = getAppDomain(env);
+    this.env = env;
 
     this.headers = {
       Authorization: this.bearer,
@@ -1030,48 +3966,61 @@ class CloudflareApi {
   }
 
   async getDomainList() {
-    const url = `https://api.cloudflare.com/client/v4/accounts/${this.accountID}/workers/domains`;
-    const res = await fetch(url, {
-      headers: {
-        ...this.headers,
-      },
-    });
+    // Daftar harus lengkap, halaman yang gagal melempar error agar syncDomains tidak menghapus domain yang valid
+    const domains = [];
 
-    if (res.status == 200) {
-      const respJson = await res.json();
+    for (let page = 1; page <= CF_API_MAX_PAGES; page++) {
+      const url = new URL(`https://api.cloudflare.com/client/v4/accounts/${this.accountID}/workers/domains`);
+      url.searchParams.set("service", this.serviceName);
+      url.searchParams.set("page", page);
+      url.searchParams.set("per_page", CF_API_PAGE_SIZE);
+
+      const res = await fetch(url, {
+        headers: {
+          ...this.headers,
+        },
+      });
+      if (res.status != 200) {
+        throw new Error(`Failed to list domains (page ${page}): HTTP ${res.status}`);
+      }
 
-      return respJson.result
-        .filter((data) => data.service == serviceName)
-        .map((data) => ({ id: data.id, hostname: data.hostname }));
+      const respJson = await res.json();
+      if (!respJson.success || !Array.isArray(respJson.result)) {
+        throw new Error(`Failed to list domains (page ${page}): invalid response`);
+      }
+      domains.push(
+        ...respJson.result
+          .filter((data) => data.service == this.serviceName)
+          .map((data) => ({ id: data.id, hostname: data.hostname }))
+      );
+
+      // Berhenti jika API tidak mengirim info halaman atau ini halaman terakhir
+      const resultInfo = respJson.result_info;
+      if (!resultInfo?.total_pages || page >= resultInfo.total_pages) break;
+      if (page == CF_API_MAX_PAGES) {
+        throw new Error(`Failed to list domains: more than ${CF_API_MAX_PAGES} pages`);
+      }
     }
 
-    return [];
+    return domains;
   }
 
-  async registerDomain(domain) {
+  async registerDomain(domain, registeredDomains = null) {
+    // Mengembalikan {status, rule}, rule berisi kata terlarang yang cocok saat status 403
     domain = domain.toLowerCase();
-    const registeredDomains = await this.getDomainList();
+    registeredDomains = registeredDomains || (await this.getDomainList());
+
+    if (!domain.endsWith(this.rootDomain)) return { status: 400 };
+    if (registeredDomains.some((registeredDomain) => registeredDomain.hostname == domain)) return { status: 409 };
 
-    if (!domain.endsWith(rootDomain)) return 400;
-    if (registeredDomains.includes(domain)) return 409;
+    const rule = matchBadWord(domain.replaceAll("." + this.appDomain, ""), await getBadWords(this.env));
+    if (rule) return { status: 403, rule: rule };
 
     try {
-      const domainTest = await fetch(`https://${domain.replaceAll("." + APP_DOMAIN, "")}`);
-      if (domainTest.status == 530) return domainTest.status;
-
-      const badWordsListRes = await fetch(BAD_WORDS_LIST);
-      if (badWordsListRes.status == 200) {
-        const badWordsList = (await badWordsListRes.text()).split("\n");
-        for (const badWord of badWordsList) {
-          if (domain.includes(badWord.toLowerCase())) {
-            return 403;
-          }
-        }
-      } else {
-        return 403;
-      }
+      const domainTest = await fetch(`https://${domain.replaceAll("." + this.appDomain, "")}`);
+      if (domainTest.status == 530) return { status: domainTest.status };
     } catch (e) {
-      return 400;
+      return { status: 400 };
     }
 
     const url = `https://api.cloudflare.com/client/v4/accounts/${this.accountID}/workers/domains`;
@@ -1080,7 +4029,7 @@ class CloudflareApi {
       body: JSON.stringify({
         environment: "production",
         hostname: domain,
-        service: serviceName,
+        service: this.serviceName,
         zone_id: this.zoneID,
       }),
       headers: {
@@ -1088,7 +4037,7 @@ class CloudflareApi {
       },
     });
 
-    return res.status;
+    return { status: res.status };
   }
 
   async deleteDomain(domainId) {
@@ -1102,8 +4051,183 @@ class CloudflareApi {
 
     return res.status;
   }
+
+  async registerDomains(domains) {
+    const registeredDomains = await this.getDomainList();
+    const results = [];
+
+    for (const domain of domains) {
+      const register = await this.registerDomain(domain, registeredDomains);
+      if (register.status == 200) {
+        registeredDomains.push({ id: null, hostname: domain.toLowerCase() });
+      }
+      results.push({ hostname: domain, ...register });
+    }
+
+    return results;
+  }
+
+  async deleteDomains(domainIds) {
+    const registeredDomains = await this.getDomainList();
+    const results = [];
+
+    // Hanya domain milik worker ini (serviceName) yang boleh dilepas, id lain di akun yang sama dijawab 404
+    for (const domainId of domainIds) {
+      const hostname = registeredDomains.find((domain) => domain.id == domainId)?.hostname;
+      results.push({ id: domainId, hostname: hostname || null, status: hostname ? await this.deleteDomain(domainId) : 404 });
+    }
+
+    return results;
+  }
+
+  async syncDomains(hostnames, dryRun = false) {
+    // Domain utama worker tidak pernah dilepas agar /sub tetap bisa diakses
+    const desired = new Set([...hostnames.map((hostname) => hostname.toLowerCase()), this.appDomain]);
+    const registeredDomains = await this.getDomainList();
+    const registered = new Set(registeredDomains.map((domain) => domain.hostname));
+
+    const toRegister = [...desired].filter((hostname) => !registered.has(hostname));
+    const toDelete = registeredDomains.filter((domain) => !desired.has(domain.hostname));
+    const result = {
+      unchanged: registeredDomains.filter((domain) => desired.has(domain.hostname)).map((domain) => domain.hostname),
+      registered: toRegister.map((hostname) => ({ hostname: hostname, status: null })),
+      deleted: toDelete.map((domain) => ({ ...domain, status: null })),
+    };
+    if (dryRun) return result;
+
+    for (const entry of result.registered) {
+      Object.assign(entry, await this.registerDomain(entry.hostname, registeredDomains));
+    }
+    for (const entry of result.deleted) {
+      entry.status = await this.deleteDomain(entry.id);
+    }
+
+    return result;
+  }
+}
+
+
+// Metrics Durable Object
+export class TunnelMetrics {
+  /**
+   * Storage:
+   *
+   * metrics -> {"<nama metric>": {"<label>": {"labels": {...}, "value": 0}}}
+   *
+   * POST /add menambahkan delta dari flushMetrics, GET mengembalikan total.
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.metrics = null;
+    this.startedAt = null;
+  }
+
+  async fetch(request) {
+    if (!this.metrics) {
+      this.metrics = (await this.state.storage.get("metrics")) || {};
+      this.startedAt = (await this.state.storage.get("startedAt")) || new Date().toISOString();
+      await this.state.storage.put("startedAt", this.startedAt);
+    }
+
+    if (request.method == "POST") {
+      mergeMetrics(this.metrics, await request.json());
+      await this.state.storage.put("metrics", this.metrics);
+      return new Response("OK");
+    }
+
+    return new Response(JSON.stringify({ startedAt: this.startedAt, metrics: this.metrics }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+}
+
+// Rate limit Durable Object
+export class RateLimiter {
+  /**
+   * Satu instance per key (idFromName), hitungan cukup di memori karena hanya berlaku satu window.
+   *
+   * POST /?limit=10&window=60000 -> {"limited": false, "count": 1}
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.window = null;
+    this.count = 0;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const limit = parseInt(url.searchParams.get("limit")) || DOMAIN_RATE_LIMIT;
+    const windowMs = parseInt(url.searchParams.get("window")) || DOMAIN_RATE_LIMIT_WINDOW;
+
+    const window = Math.floor(Date.now() / windowMs);
+    if (window != this.window) {
+      this.window = window;
+      this.count = 0;
+    }
+
+    const limited = this.count >= limit;
+    if (!limited) this.count++;
+
+    return new Response(JSON.stringify({ limited: limited, count: this.count }), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
 }
 
+// Pemakaian user Durable Object
+export class UserUsage {
+  /**
+   * Satu instance per user (idFromName(userID)), request diproses berurutan sehingga penambahan atomik.
+   *
+   * Storage: <periode> -> {"upload": 0, "download": 0, "updatedAt": 0}
+   *
+   * GET /?period=2024-01&period=2024-01-31 mengembalikan pemakaian per periode,
+   * POST dengan body {"upload": 0, "download": 0} menambahkan ke semua periode tersebut.
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.prunedAt = 0;
+  }
+
+  async fetch(request) {
+    const periods = new URL(request.url).searchParams.getAll("period");
+    const delta = request.method == "POST" ? await request.json() : null;
+
+    // Baca-tambah-tulis dijalankan eksklusif agar flush paralel dari koneksi lain tidak saling menimpa
+    const records = await this.state.blockConcurrencyWhile(async () => {
+      const records = periods.length ? Object.fromEntries(await this.state.storage.get(periods)) : {};
+      if (!delta) return records;
+
+      for (const period of periods) {
+        const usage = records[period] || { upload: 0, download: 0 };
+        usage.upload += parseInt(delta.upload) || 0;
+        usage.download += parseInt(delta.download) || 0;
+        usage.updatedAt = Date.now();
+        records[period] = usage;
+      }
+      await this.state.storage.put(records);
+      await this.prune();
+      return records;
+    });
+
+    return new Response(JSON.stringify(records), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  async prune() {
+    // Sama seperti TTL di KV: periode harian disimpan 35 hari, bulanan sekitar 13 bulan
+    if (Date.now() - this.prunedAt < 24 * 60 * 60 * 1000) return;
+    this.prunedAt = Date.now();
+
+    const daily = getUsagePeriod("daily", new Date(Date.now() - USAGE_DAILY_TTL * 1000));
+    const monthly = getUsagePeriod("monthly", new Date(Date.now() - USAGE_MONTHLY_TTL * 1000));
+    const stale = [...(await this.state.storage.list()).keys()].filter((period) =>
+      period.length == 10 ? period < daily : period < monthly
+    );
+    if (stale.length) await this.state.storage.delete(stale);
+  }
+}
 
 let baseHTML = `
 <!DOCTYPE html>
@@ -1661,12 +4785,17 @@ let baseHTML = `
         });
       }
 
+      function getAdminHeaders(adminToken) {
+        return { Authorization: "Bearer " + adminToken };
+      }
+
       function deleteDomain(domainId, domainName) {
         Swal.fire({
-          title: 'Masukkan Password',
+          title: 'Masukkan Admin Token',
           text: "Untuk menghapus domain: " + domainName,
           input: 'password',
-          inputPlaceholder: 'Password...',
+          inputValue: sessionStorage.getItem("adminToken") || "",
+          inputPlaceholder: 'Admin token...',
           inputAttributes: {
             autocapitalize: 'off'
           },
@@ -1675,20 +4804,25 @@ let baseHTML = `
           cancelButtonText: 'Batal',
           width: '300px',
           showLoaderOnConfirm: true,
-          preConfirm: (password) => {
-            if (!password) {
-              Swal.showValidationMessage('Password tidak boleh kosong');
+          preConfirm: (adminToken) => {
+            if (!adminToken) {
+              Swal.showValidationMessage('Token tidak boleh kosong');
               return false;
             }
-            const url = "https://" + rootDomain + "/api/v1/domains/delete?id=" + domainId + "&password=" + encodeURIComponent(password);
-            return fetch(url, { method: 'DELETE' })
+            const url = "https://" + rootDomain + "/api/v1/domains/delete?id=" + domainId;
+            return fetch(url, { method: 'DELETE', headers: getAdminHeaders(adminToken) })
               .then(response => {
                 if (!response.ok) {
                     if (response.status === 401) {
-                        throw new Error("Password salah!");
+                        sessionStorage.removeItem("adminToken");
+                        throw new Error("Token salah!");
+                    }
+                    if (response.status === 429) {
+                        throw new Error("Terlalu banyak request, coba lagi nanti");
                     }
                     throw new Error("Gagal! Status: " + response.status);
                 }
+                sessionStorage.setItem("adminToken", adminToken);
                 return response.json().catch(() => ({}));
               })
               .catch(error => {
@@ -1713,7 +4847,7 @@ let baseHTML = `
         });
       }
 
-      function registerDomain() {
+      async function registerDomain() {
         const domainInputElement = document.getElementById("new-domain-input");
         const rawDomain = domainInputElement.value.toLowerCase();
         const domain = domainInputElement.value + "." + rootDomain;
@@ -1723,10 +4857,29 @@ let baseHTML = `
           return;
         }
 
+        let adminToken = sessionStorage.getItem("adminToken");
+        if (!adminToken) {
+          const prompt = await Swal.fire({
+            title: 'Masukkan Admin Token',
+            input: 'password',
+            inputPlaceholder: 'Admin token...',
+            showCancelButton: true,
+            confirmButtonText: 'Lanjut',
+            cancelButtonText: 'Batal',
+            width: '300px',
+          });
+          if (!prompt.isConfirmed || !prompt.value) return;
+          adminToken = prompt.value;
+        }
+
         windowInfoContainer.innerText = "Pushing request...";
 
         const url = "https://" + rootDomain + "/api/v1/domains/put?domain=" + domain;
-        const res = fetch(url).then((res) => {
+        const res = fetch(url, { method: "POST", headers: getAdminHeaders(adminToken) }).then(async (res) => {
+          if (res.status != 401) {
+            sessionStorage.setItem("adminToken", adminToken);
+          }
+
           if (res.status == 200) {
             windowInfoContainer.innerText = "Done!";
             domainInputElement.value = "";
@@ -1735,6 +4888,13 @@ let baseHTML = `
           } else {
             if (res.status == 409) {
               windowInfoContainer.innerText = "Domain exists!";
+            } else if (res.status == 401) {
+              sessionStorage.removeItem("adminToken");
+              windowInfoContainer.innerText = "Invalid admin token!";
+            } else if (res.status == 429) {
+              windowInfoContainer.innerText = "Too many requests!";
+            } else if (res.status == 403) {
+              windowInfoContainer.innerText = await res.text();
             } else {
               windowInfoContainer.innerText = "Error " + res.status;
             }
@@ -1975,10 +5135,13 @@ setInterval(updateTime, 1000);
 class Document {
     proxies = [];
 
-    constructor(request) {
+    constructor(request, env) {
         this.html = baseHTML;
         this.request = request;
         this.url = new URL(this.request.url);
+        this.serviceName = env.SERVICE_NAME;
+        this.appDomain = getAppDomain(env);
+        this.isApiReady = getMissingBindings(env, API_BINDINGS).length === 0;
     }
 
     setTotalProxy(total) {
@@ -2096,7 +5259,7 @@ setTitle(title) {
         this.buildProxyGroup();
         this.buildCountryFlag();
 
-        this.html = this.html.replaceAll("PLACEHOLDER_API_READY", isApiReady ? "block" : "hidden");
+        this.html = this.html.replaceAll("PLACEHOLDER_API_READY", this.isApiReady ? "block" : "hidden");
 
         let whatsappButton = '';
         if (WHATSAPP_NUMBER) {
@@ -2118,9 +5281,9 @@ setTitle(title) {
         }
         this.html = this.html.replace('PLACEHOLDER_TELEGRAM_BUTTON', telegramButton);
 
-        this.html = this.html.replaceAll('PLACEHOLDER_CHECK_PROXY_URL', `https://${serviceName}.${rootDomain}/check?target=`);
-        this.html = this.html.replaceAll('PLACEHOLDER_ROOT_DOMAIN', `${serviceName}.${rootDomain}`);
-        this.html = this.html.replaceAll('PLACEHOLDER_CONVERTER_URL', CONVERTER_URL);
+        this.html = this.html.replaceAll('PLACEHOLDER_CHECK_PROXY_URL', `https://${this.appDomain}/check?target=`);
+        this.html = this.html.replaceAll('PLACEHOLDER_ROOT_DOMAIN', this.appDomain);
+        this.html = this.html.replaceAll('PLACEHOLDER_CONVERTER_URL', `https://${this.appDomain}/api/v1/convert`);
         this.html = this.html.replaceAll('PLACEHOLDER_DONATE_LINK', DONATE_LINK);
 
         this.buildDropdowns();
@@ -2131,7 +5294,7 @@ setTitle(title) {
     buildDropdowns() {
         const selectedProtocol = this.url.searchParams.get('vpn') || 'all';
         const selectedCountry = this.url.searchParams.get('cc') || 'all';
-        const selectedHost = this.url.searchParams.get('host') || APP_DOMAIN;
+        const selectedHost = this.url.searchParams.get('host') || this.appDomain;
         const selectedPort = this.url.searchParams.get('port') || 'all';
 
         // Protocol Dropdown
@@ -2177,7 +5340,7 @@ setTitle(title) {
         `);
 
         // Host Dropdown
-        const hosts = [APP_DOMAIN, 'ava.game.naver.com', 'investor.fb.com'];
+        const hosts = [this.appDomain, 'ava.game.naver.com', 'investor.fb.com'];
         let hostOptions = '';
         for (const host of hosts) {
             hostOptions += `<option value="${host}" ${selectedHost === host ? 'selected' : ''}>${host}</option>`;
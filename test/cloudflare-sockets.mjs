@@ -0,0 +1,12 @@
+// Pengganti "cloudflare:sockets" saat surya.js dijalankan di Node, connect() diatur lewat setConnect
+let connectImpl = () => {
+  throw new Error("connect() is not stubbed");
+};
+
+export function setConnect(fn) {
+  connectImpl = fn;
+}
+
+export function connect(options) {
+  return connectImpl(options);
+}
@@ -0,0 +1,50 @@
+// Jalankan: node --test --import ./test/register.mjs test/*.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setConnect } from "./cloudflare-sockets.mjs";
+import { flashHeader, servers, upgrade } from "./runtime.mjs";
+
+// Tujuan asli selalu tutup tanpa data (memicu retry), proxy membalas <oktet terakhir IP><data client>
+function fakeSocket({ hostname }) {
+  let controller;
+  const readable = new ReadableStream({
+    start(c) {
+      controller = c;
+    },
+  });
+  const isPrx = /^\d+\.\d+\.\d+\.\d+$/.test(hostname);
+  const writable = new WritableStream({
+    write(chunk) {
+      if (isPrx) {
+        controller.enqueue(new Uint8Array([parseInt(hostname.split(".")[3]), ...new Uint8Array(chunk)]));
+      }
+      setTimeout(() => controller.close(), 20);
+    },
+  });
+
+  return { readable, writable, opened: Promise.resolve(), closed: new Promise(() => {}), close: async () => {} };
+}
+
+test("interleaved upgrades keep their own proxy for retry", async () => {
+  const { default: worker } = await import("../surya.js");
+  const connects = [];
+  setConnect((options) => {
+    connects.push(`${options.hostname}:${options.port}`);
+    return fakeSocket(options);
+  });
+
+  const env = { CF_DETECT: "false", ACL_RESOLVE: "false", LOG_LEVEL: "error" };
+
+  // Kedua upgrade selesai sebelum header protokol datang, jadi pilihan proxy tidak boleh saling menimpa
+  await upgrade(worker, "/Free-VPN-Geo-Project/1.1.1.1-443", env);
+  await upgrade(worker, "/Free-VPN-Geo-Project/2.2.2.2-443", env);
+  const [first, second] = servers;
+  first.emit("message", { data: flashHeader("a.example", [65]) });
+  second.emit("message", { data: flashHeader("b.example", [66]) });
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  assert.deepEqual(connects.sort(), ["1.1.1.1:443", "2.2.2.2:443", "a.example:443", "b.example:443"]);
+  assert.deepEqual([...first.sent[0]], [0, 0, 1, 65]);
+  assert.deepEqual([...second.sent[0]], [0, 0, 2, 66]);
+});
@@ -0,0 +1,60 @@
+// Jalankan: node --test --import ./test/register.mjs test/*.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setConnect } from "./cloudflare-sockets.mjs";
+import { flashHeader, servers, upgrade } from "./runtime.mjs";
+
+const connects = [];
+setConnect((options) => {
+  connects.push(options.hostname);
+
+  // Tujuan asli tutup tanpa data agar koneksi diulang lewat proxy
+  let controller;
+  return {
+    readable: new ReadableStream({
+      start(c) {
+        controller = c;
+      },
+    }),
+    writable: new WritableStream({
+      write() {
+        setTimeout(() => controller.close(), 20);
+      },
+    }),
+    opened: Promise.resolve(),
+    closed: new Promise(() => {}),
+    close: async () => {},
+  };
+});
+
+const env = {
+  PRX_SOURCES: "inline",
+  PRX_INLINE: '["[2606:4700::1111]:443"]',
+  CF_DETECT: "false",
+  ACL_RESOLVE: "false",
+  LOG_LEVEL: "error",
+};
+
+test("bracketed ipv6 proxy is passed to connect() without brackets", async () => {
+  const { default: worker } = await import("../surya.js");
+  connects.length = 0;
+
+  await upgrade(worker, "/Free-VPN-Geo-Project/[2606:4700::1111]-443", env);
+  servers.at(-1).emit("message", { data: flashHeader("a.example", [65]) });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.deepEqual(connects, ["a.example", "2606:4700::1111"]);
+});
+
+test("/check probes a bracketed ipv6 proxy without brackets", async () => {
+  const { default: worker } = await import("../surya.js");
+  connects.length = 0;
+
+  const response = await worker.fetch(new Request("https://worker.example/check?target=[2606:4700::1111]:443"), env, {
+    waitUntil() {},
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, "ACTIVE");
+  assert.deepEqual(connects, ["2606:4700::1111"]);
+});
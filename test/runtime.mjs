@@ -0,0 +1,66 @@
+// Stub API runtime Workers yang tidak ada di Node, dipakai bersama oleh test websocket
+
+// Runtime Workers mengizinkan status 101 dan properti webSocket, Response di Node tidak
+const NodeResponse = globalThis.Response;
+globalThis.Response = class extends NodeResponse {
+  constructor(body, init = {}) {
+    super(body, init.status == 101 ? { ...init, status: 200 } : init);
+    this.webSocket = init.webSocket;
+  }
+};
+
+class FakeWebSocket {
+  constructor() {
+    this.readyState = 1;
+    this.sent = [];
+    this.listeners = {};
+  }
+  accept() {}
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+  send(data) {
+    this.sent.push(new Uint8Array(data));
+  }
+  close() {
+    this.readyState = 3;
+  }
+  emit(type, event) {
+    for (const listener of this.listeners[type] || []) listener(event);
+  }
+}
+
+// Sisi server dari setiap WebSocketPair, urut sesuai upgrade
+export const servers = [];
+globalThis.WebSocketPair = function () {
+  const pair = [new FakeWebSocket(), new FakeWebSocket()];
+  servers.push(pair[1]);
+  return pair;
+};
+
+export function upgrade(worker, path, env) {
+  return worker.fetch(
+    new Request(`https://worker.example${path}`, { headers: { Upgrade: "websocket" } }),
+    env,
+    { waitUntil() {} }
+  );
+}
+
+export function flashHeader(address, payload, { command = 1, port = 443 } = {}) {
+  // vless: <Version><UUID v4><Addon length><Command><Port><ATYP><Address><Payload>
+  const uuid = "11111111222243338444555555555555".match(/../g).map((hex) => parseInt(hex, 16));
+  return new Uint8Array([0, ...uuid, 0, command, port >> 8, port & 0xff, ...flashAddress(address), ...payload]).buffer;
+}
+
+function flashAddress(address) {
+  // ATYP vless: 1 = IPv4, 2 = Domain, 3 = IPv6 (ditulis lengkap 8 grup)
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    return [1, ...address.split(".").map(Number)];
+  }
+  if (address.includes(":")) {
+    return [3, ...address.split(":").flatMap((group) => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff])];
+  }
+
+  const domain = new TextEncoder().encode(address);
+  return [2, domain.length, ...domain];
+}
@@ -0,0 +1,43 @@
+// Jalankan: node --test --import ./test/register.mjs test/*.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setConnect } from "./cloudflare-sockets.mjs";
+import { flashHeader, servers, upgrade } from "./runtime.mjs";
+
+test("vless udp packets reach UDP_RELAY with trojan address types", async () => {
+  const { default: worker } = await import("../surya.js");
+  const connects = [];
+  const written = [];
+  setConnect((options) => {
+    connects.push(`${options.hostname}:${options.port}`);
+    return {
+      readable: new ReadableStream(),
+      writable: new WritableStream({
+        write(chunk) {
+          written.push([...chunk]);
+        },
+      }),
+      opened: Promise.resolve(),
+      closed: new Promise(() => {}),
+      close: async () => {},
+    };
+  });
+
+  const env = { UDP_RELAY: "9.9.9.9:5000", CF_DETECT: "false", ACL_RESOLVE: "false", LOG_LEVEL: "error" };
+  const destinations = ["8.8.4.4", "example.com", "2001:4860:0:0:0:0:0:8888"];
+  for (const destination of destinations) {
+    await upgrade(worker, "/Free-VPN-Geo-Project/1.1.1.1-443", env);
+    // Payload UDP vless: <Length(2)><Payload>
+    servers.at(-1).emit("message", { data: flashHeader(destination, [0, 1, 65], { command: 2 }) });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  // trojan: <ATYP><Address><Port(2)><Length(2)><CRLF><Payload>, ATYP 1 = IPv4, 3 = Domain, 4 = IPv6
+  const tail = [1, 187, 0, 1, 13, 10, 65];
+  assert.deepEqual(connects, ["9.9.9.9:5000", "9.9.9.9:5000", "9.9.9.9:5000"]);
+  assert.deepEqual(written, [
+    [1, 8, 8, 4, 4, ...tail],
+    [3, 11, ...new TextEncoder().encode("example.com"), ...tail],
+    [4, 0x20, 0x01, 0x48, 0x60, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x88, 0x88, ...tail],
+  ]);
+});